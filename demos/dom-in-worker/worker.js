@@ -8,13 +8,10 @@ self.addEventListener("message", e =>
 					  "../../via/controller/property.js",
 					  "../../via/controller/controller.js");
 		
-		Via.postMessage = (data => self.postMessage(data));
+		// Hook up Via's messages with the page. Via ignores other messages, such as "start".
+		Via.connectPort(self);
 		Start();
 	}
-	else
-	{
-		Via.OnMessage(e.data);
-	}
 });
 
 async function Start()
@@ -40,7 +37,8 @@ async function Start()
 	const button = document.createElement("button");
 	button.textContent = "Click me";
 	button.style.fontWeight = "bold";
-	button.addEventListener("click", OnClick);
+	// Copy the click position when the event fires, so the callback can read it without get()
+	button.addEventListener("click", Via.callback(OnClick, { snapshot: ["clientX", "clientY"], live: false }));
 	document.body.appendChild(button);
 	
 	via.audioContext = new via.AudioContext();
@@ -48,20 +46,16 @@ async function Start()
 	const response = await fetch("sfx5.m4a");
 	const arrayBuffer = await response.arrayBuffer();
 	
-	via.audioContext.decodeAudioData(arrayBuffer, audioBuffer =>
+	// Transfer the ArrayBuffer to avoid copying it
+	via.audioContext.decodeAudioData(Via.transfer(arrayBuffer), audioBuffer =>
 	{
 		self.audioBuffer = audioBuffer;
 	});
 }
 
-async function OnClick(e)
+function OnClick(e)
 {
-	const [x, y] = await Promise.all([
-		get(e.clientX),
-		get(e.clientY)
-	]);
-	
-	console.log("[Worker] Click event at " + x + ", " + y);
+	console.log("[Worker] Click event at " + e.clientX + ", " + e.clientY);
 	
 	const source = via.audioContext.createBufferSource();
 	source.buffer = self.audioBuffer;
@@ -0,0 +1,93 @@
+"use strict";
+
+self.addEventListener("message", e =>
+{
+	if (e.data === "start")
+	{
+		importScripts("../../via/controller/object.js",
+					  "../../via/controller/property.js",
+					  "../../via/controller/controller.js",
+					  "../../via/controller/binary.js");
+		
+		Via.postMessage = ((data, transferList) => self.postMessage(data, transferList));
+		Start();
+	}
+	else
+	{
+		Via.OnMessage(e.data);
+	}
+});
+
+const framesPerRun = 60;
+const elemCount = 100;
+let elems = [];
+let isRunning = false;
+
+function Start()
+{
+	const document = via.document;
+	const grid = document.getElementById("grid");
+	
+	for (let i = 0; i < elemCount; ++i)
+	{
+		const div = document.createElement("div");
+		div.style.display = "inline-block";
+		div.style.width = "60px";
+		grid.appendChild(div);
+		elems.push(div);
+	}
+	
+	document.getElementById("start").addEventListener("click", OnStartClick);
+}
+
+async function OnStartClick()
+{
+	if (isRunning)
+		return;
+	
+	isRunning = true;
+	
+	const callCount = await get(via.document.getElementById("callCount").valueAsNumber);
+	const results = via.document.getElementById("results");
+	results.textContent = "Running...";
+	
+	const lines = [];
+	
+	for (const encoding of ["array", "binary"])
+	{
+		Via.setEncoding(encoding);
+		const avgMs = await RunFrames(callCount);
+		lines.push(`${encoding}: ${avgMs.toFixed(2)} ms per frame (${callCount} calls)`);
+		results.textContent = lines.join("\n");
+	}
+	
+	isRunning = false;
+}
+
+// Each frame makes callCount DOM calls, spread over the grid of elements, and waits for them
+// to be run on the main thread. Returns the average time per frame.
+async function RunFrames(callCount)
+{
+	let totalMs = 0;
+	
+	for (let frame = 0; frame < framesPerRun; ++frame)
+	{
+		await new Promise(resolve => requestAnimationFrame(resolve));
+		
+		const startTime = performance.now();
+		
+		// Each iteration makes two calls: one style set and one text set
+		for (let i = 0; i < callCount / 2; ++i)
+		{
+			const div = elems[i % elemCount];
+			div.style.backgroundColor = `hsl(${(frame * 6 + i) % 360}, 80%, 60%)`;
+			div.textContent = i;
+		}
+		
+		await Via.Flush();
+		
+		totalMs += performance.now() - startTime;
+	}
+	
+	return totalMs / framesPerRun;
+}
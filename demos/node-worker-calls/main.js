@@ -0,0 +1,35 @@
+"use strict";
+
+// Node.js version of the worker-calls demo. Run with: node demos/node-worker-calls/main.js [number]
+// Calls on the prime calculator are forwarded to a worker thread, using almost the same code
+// that would be written if it was on the main thread.
+const path = require("path");
+const { Worker } = require("worker_threads");
+const Via = require("../../via/node/controller.js");
+
+async function Main()
+{
+	const n = parseFloat(process.argv[2] || "98245166901019");
+
+	// Create the worker and connect the default controller to it
+	const worker = new Worker(path.join(__dirname, "worker.js"));
+	Via.connectNodeWorker(worker);
+
+	// primeCalculator is a placeholder object representing the object on the worker.
+	const primes = Via.remote("primes");
+	const primeCalculator = new primes.PrimeCalculator();
+
+	const startTime = performance.now();
+
+	// IsPrime() returns a placeholder, so retrieve the actual value with get().
+	const isPrime = await get(primeCalculator.IsPrime(n));
+
+	const duration = performance.now() - startTime;
+	console.log(`${n} is prime: ${isPrime} (took ${duration} ms)`);
+
+	// Close the connection and stop the worker so the process can exit.
+	Via.close();
+	await worker.terminate();
+}
+
+Main();
@@ -0,0 +1,42 @@
+"use strict";
+
+const ViaReceiver = require("../../via/node/receiver.js");
+
+// Prime calculator class called from the main thread. As with the browser worker-calls
+// demo, it's exposed to Via by name and otherwise written just like a normal class.
+class PrimeCalculator {
+	constructor()
+	{
+		// Cache of number -> is prime, to demonstrate a stateful object held on the worker.
+		this._cache = new Map();
+	}
+
+	IsPrime(n)
+	{
+		// Return cached result if possible
+		if (this._cache.has(n))
+			return this._cache.get(n);
+		
+		// Otherwise use a naive check which is slow enough for large numbers to show
+		// the benefit of doing the work on another thread.
+		let isPrime = true;
+
+		const lim = Math.sqrt(n);
+		for (let f = 2; f <= lim; ++f)
+		{
+			if (n % f === 0)
+			{
+				isPrime = false;
+				break;
+			}
+		}
+
+		this._cache.set(n, isPrime);
+		return isPrime;
+	}
+}
+
+// Make the prime calculator available to the main thread as Via.remote("primes"),
+// then start receiving calls from the main thread.
+ViaReceiver.expose("primes", { PrimeCalculator });
+ViaReceiver.connectParentPort();
@@ -6,18 +6,18 @@ self.addEventListener("message", e =>
 	{
 		importScripts("../../via/receiver/receiver.js");
 		
-		ViaReceiver.postMessage = (data => self.postMessage(data));
-	}
-	else
-	{
-		ViaReceiver.OnMessage(e.data);
+		// Make the prime calculator available to the DOM side as Via.remote("primes").
+		ViaReceiver.expose("primes", { PrimeCalculator });
+		
+		// Hook up Via's messages with the page. Via ignores other messages, such as "start".
+		ViaReceiver.connectPort(self);
 	}
 });
 
-// Prime calculator class called from DOM side. Note it must be available on
-// the global object for Via to be able to find it. Otherwise it's written
-// just like a normal class with nothing special about it.
-self.PrimeCalculator = class {
+// Prime calculator class called from DOM side. Note it's exposed to Via by name
+// when starting, rather than being put on the global object. Otherwise it's
+// written just like a normal class with nothing special about it.
+class PrimeCalculator {
 	constructor()
 	{
 		// Cache of number -> is prime. This is basically to demonstrate a stateful
@@ -0,0 +1,188 @@
+"use strict";
+
+// Tests for the channel-tagged connectPort() and connectWindow() adapters on both sides.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { MessageChannel } = require("node:worker_threads");
+require("../via/node/loopback.js");
+
+// A set command for the receiver, as the controller would post it, setting root.x to the given value.
+function SetXMessage(value)
+{
+	return { type: "cmds", flushId: 0, cmds: [[1 /* set */, 0, ["x"], [0 /* primitive */, value]]] };
+}
+
+// A fake window, which records what is posted to it.
+function MakeFakeWindow()
+{
+	return {
+		posted: [],
+
+		postMessage(message, targetOrigin, transferList)
+		{
+			this.posted.push({ message, targetOrigin, transferList });
+		}
+	};
+}
+
+// connectWindow() listens for messages on the global object, which isn't an event target in Node.js, so make it
+// one for the duration of a test. Returns a function to dispatch a message event from a window and origin.
+function UseGlobalEvents(t)
+{
+	const events = new EventTarget();
+	globalThis.addEventListener = events.addEventListener.bind(events);
+	globalThis.removeEventListener = events.removeEventListener.bind(events);
+
+	t.after(() =>
+	{
+		delete globalThis.addEventListener;
+		delete globalThis.removeEventListener;
+	});
+
+	return ((data, source, origin) => events.dispatchEvent(Object.assign(new Event("message"), { data, source, origin })));
+}
+
+// Wait for messages between MessagePorts, which arrive in a later task.
+function WaitForTasks()
+{
+	return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+test("controllers and receivers on different channels share a port without interfering", async () =>
+{
+	const { port1, port2 } = new MessageChannel();
+	const rootA = {};
+	const rootB = {};
+	const controllerA = Via.createController();
+	const controllerB = Via.createController();
+	const disconnects = [
+		Via.connectPort(port1, { controller: controllerA, channel: "a" }),
+		Via.connectPort(port1, { controller: controllerB, channel: "b" }),
+		ViaReceiver.connectPort(port2, { receiver: ViaReceiver.createReceiver({ root: rootA }), channel: "a" }),
+		ViaReceiver.connectPort(port2, { receiver: ViaReceiver.createReceiver({ root: rootB }), channel: "b" })
+	];
+
+	try
+	{
+		controllerA.via.x = "a";
+		controllerB.via.x = "b";
+		await Promise.all([controllerA.Flush(), controllerB.Flush()]);
+
+		assert.equal(rootA.x, "a");
+		assert.equal(rootB.x, "b");
+	}
+	finally
+	{
+		for (const disconnect of disconnects)
+			disconnect();
+
+		port1.close();
+	}
+});
+
+test("messages with the wrong channel or none are ignored", async () =>
+{
+	const { port1, port2 } = new MessageChannel();
+	const root = {};
+	const disconnect = ViaReceiver.connectPort(port2, { receiver: ViaReceiver.createReceiver({ root }), channel: "app" });
+
+	try
+	{
+		port1.postMessage({ via: "other", message: SetXMessage(1) });
+		port1.postMessage(SetXMessage(2));
+		await WaitForTasks();
+		assert.equal(root.x, undefined);
+
+		port1.postMessage({ via: "app", message: SetXMessage(3) });
+		await WaitForTasks();
+		assert.equal(root.x, 3);
+	}
+	finally
+	{
+		disconnect();
+		port1.close();
+	}
+});
+
+test("connectWindow() requires a specific origin", () =>
+{
+	const other = MakeFakeWindow();
+
+	assert.throws(() => Via.connectWindow(other, {}), /requires the origin/);
+	assert.throws(() => Via.connectWindow(other, { origin: "*" }), /requires the origin/);
+	assert.throws(() => ViaReceiver.connectWindow(other, { origin: "*" }), /requires the origin/);
+});
+
+test("the controller posts to the configured origin", async t =>
+{
+	UseGlobalEvents(t);
+	const frame = MakeFakeWindow();
+	const controller = Via.createController();
+	const disconnect = Via.connectWindow(frame, { controller, origin: "https://frame.example" });
+
+	controller.via.x = 1;
+	controller.Flush().catch(() => {});		// never done, since nothing answers
+	disconnect();
+
+	assert.equal(frame.posted.length, 1);
+	assert.equal(frame.posted[0].targetOrigin, "https://frame.example");
+	assert.equal(frame.posted[0].message.via, "via");
+	assert.equal(frame.posted[0].message.message.type, "cmds");
+});
+
+test("the receiver only accepts messages from the other window and origin", t =>
+{
+	const dispatch = UseGlobalEvents(t);
+	const parent = MakeFakeWindow();
+	const root = {};
+	const disconnect = ViaReceiver.connectWindow(parent, { receiver: ViaReceiver.createReceiver({ root }), origin: "https://parent.example" });
+
+	try
+	{
+		dispatch({ via: "via", message: SetXMessage(1) }, parent, "https://evil.example");
+		dispatch({ via: "via", message: SetXMessage(2) }, MakeFakeWindow(), "https://parent.example");
+		dispatch({ via: "other", message: SetXMessage(3) }, parent, "https://parent.example");
+		assert.equal(root.x, undefined);
+		assert.equal(parent.posted.length, 0);
+
+		dispatch({ via: "via", message: SetXMessage(4) }, parent, "https://parent.example");
+		assert.equal(root.x, 4);
+
+		// The "done" reply is only posted to the parent's origin.
+		assert.equal(parent.posted.length, 1);
+		assert.equal(parent.posted[0].targetOrigin, "https://parent.example");
+		assert.equal(parent.posted[0].message.message.type, "done");
+	}
+	finally
+	{
+		disconnect();
+	}
+});
+
+test("the controller ignores messages from other origins", async t =>
+{
+	const dispatch = UseGlobalEvents(t);
+	const frame = MakeFakeWindow();
+	const controller = Via.createController();
+	const disconnect = Via.connectWindow(frame, { controller, origin: "https://frame.example" });
+
+	try
+	{
+		let isDone = false;
+		controller.via.x = 1;
+		const flushed = controller.Flush().then(() => { isDone = true; });
+		const done = { via: "via", message: { type: "done", flushId: frame.posted[0].message.message.flushId, getResults: [], errors: [] } };
+
+		dispatch(done, frame, "https://evil.example");
+		await WaitForTasks();
+		assert.equal(isDone, false);
+
+		dispatch(done, frame, "https://frame.example");
+		await flushed;
+		assert.equal(isDone, true);
+	}
+	finally
+	{
+		disconnect();
+	}
+});
@@ -0,0 +1,286 @@
+"use strict";
+
+// Tests for passing functions to the receiver, which are called back on the controller.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ViaLoopback = require("../via/node/loopback.js");
+
+// A minimal fake event target, which calls its listeners synchronously like dispatchEvent().
+class FakeEventTarget
+{
+	constructor()
+	{
+		this.listeners = new Set();
+	}
+
+	addEventListener(type, listener)
+	{
+		this.listeners.add(listener);
+	}
+
+	removeEventListener(type, listener)
+	{
+		this.listeners.delete(listener);
+	}
+
+	dispatch(e)
+	{
+		const results = [];
+
+		for (const listener of this.listeners)
+			results.push(listener(e));
+
+		return results;
+	}
+}
+
+class FakeEvent
+{
+	constructor(props)
+	{
+		Object.assign(this, props);
+		this.defaultPrevented = false;
+		this.propagationStopped = false;
+	}
+
+	preventDefault()
+	{
+		this.defaultPrevented = true;
+	}
+
+	stopPropagation()
+	{
+		this.propagationStopped = true;
+	}
+}
+
+function MakeRoot()
+{
+	return {
+		button: new FakeEventTarget(),
+		call: (func, ...args) => func(...args)
+	};
+}
+
+test("callbacks are called with primitive arguments", async () =>
+{
+	const { via, settle } = ViaLoopback.create({ root: MakeRoot() });
+	const calls = [];
+
+	via.call((...args) => calls.push(args), 1, "two", null);
+	await settle();
+
+	assert.deepEqual(calls, [[1, "two", null]]);
+});
+
+test("object arguments are passed as placeholders", async () =>
+{
+	const root = MakeRoot();
+	const { via, get, settle } = ViaLoopback.create({ root });
+	let event = null;
+
+	via.button.addEventListener("click", e => { event = e; });
+	await settle();
+
+	root.button.dispatch(new FakeEvent({ clientX: 10 }));
+	await settle();
+
+	assert.equal(typeof event, "function");
+	assert.equal(await get(event.clientX), 10);
+
+	event.preventDefault();
+	await settle();
+
+	assert.equal(await get(event.defaultPrevented), true);
+});
+
+test("the same function is passed as the same shim", async () =>
+{
+	const root = MakeRoot();
+	const { via, settle } = ViaLoopback.create({ root });
+	const listener = () => {};
+
+	via.button.addEventListener("click", listener);
+	via.button.addEventListener("click", listener);
+	await settle();
+
+	assert.equal(root.button.listeners.size, 1);
+
+	via.button.removeEventListener("click", listener);
+	await settle();
+
+	assert.equal(root.button.listeners.size, 0);
+});
+
+test("Via.callback() options run synchronously on the receiver", async () =>
+{
+	const root = MakeRoot();
+	const { via, settle } = ViaLoopback.create({ root });
+	let count = 0;
+
+	via.button.addEventListener("keydown", Via.callback(() => { count++; }, { preventDefault: true, when: { key: "Enter" } }));
+	await settle();
+
+	const enter = new FakeEvent({ key: "Enter" });
+	const escape = new FakeEvent({ key: "Escape" });
+	root.button.dispatch(enter);
+	root.button.dispatch(escape);
+
+	assert.equal(enter.defaultPrevented, true);
+	assert.equal(escape.defaultPrevented, false);
+
+	await settle();
+	assert.equal(count, 2);
+});
+
+test("snapshot values can be read synchronously", async () =>
+{
+	const root = MakeRoot();
+	const { via, settle } = ViaLoopback.create({ root });
+	const seen = [];
+
+	via.button.addEventListener("click", Via.callback(e => seen.push([e.clientX, e.target.id]), { snapshot: ["clientX", "target.id"] }));
+	via.button.addEventListener("click", Via.callback(e => seen.push(e), { snapshot: ["clientX"], live: false }));
+	await settle();
+
+	root.button.dispatch(new FakeEvent({ clientX: 5, target: { id: "ok" } }));
+	await settle();
+
+	assert.deepEqual(seen, [[5, "ok"], { clientX: 5 }]);
+});
+
+test("async callbacks return their result to the receiver", async () =>
+{
+	const root = MakeRoot();
+	const { via, settle } = ViaLoopback.create({ root });
+
+	via.button.addEventListener("check", Via.callback(async value => value * 2, { async: true }));
+	await settle();
+
+	const [result] = root.button.dispatch(21);
+
+	assert.ok(result instanceof Promise);
+	assert.equal(await result, 42);
+});
+
+test("async callbacks that throw reject on the receiver", async () =>
+{
+	const root = MakeRoot();
+	const { via, settle } = ViaLoopback.create({ root });
+
+	via.button.addEventListener("check", Via.callback(() => { throw new TypeError("bad value"); }, { async: true }));
+	await settle();
+
+	const [result] = root.button.dispatch(1);
+
+	await assert.rejects(result, err => err instanceof ViaReceiver.CallbackError && err.remoteName === "TypeError" && err.remoteMessage === "bad value");
+});
+
+test("callbacks from a closed connection do nothing", async () =>
+{
+	const root = MakeRoot();
+	const { via, controller, settle } = ViaLoopback.create({ root });
+	let count = 0;
+
+	via.button.addEventListener("click", () => { count++; });
+	await settle();
+
+	controller.close();
+	await settle().catch(() => {});
+
+	root.button.dispatch(new FakeEvent({}));
+	await settle().catch(() => {});
+
+	assert.equal(count, 0);
+});
+
+test("callbacks aren't kept if the command using them is never queued", async () =>
+{
+	const { via, controller, receiver } = ViaLoopback.create({ root: MakeRoot() });
+
+	assert.throws(() => via.call(() => {}, Symbol("can't pass")), /cannot pass a symbol/);
+	assert.throws(() => via.call([() => {}], { fn: () => {} }, new WeakMap()), /cannot pass a WeakMap/);
+
+	const stats = await controller.getStats();
+	assert.equal(stats.controller.callbacks, 0);
+	assert.equal(receiver.getStats().callbacks, 0);
+});
+
+test("callbacks are released if the command using them fails", async () =>
+{
+	require("node:v8").setFlagsFromString("--expose-gc");
+	const gc = require("node:vm").runInNewContext("gc");
+
+	const { via, controller, settle } = ViaLoopback.create({ root: MakeRoot() });
+
+	// Resolving the path fails before the arguments are used.
+	via.missing.deeper.addEventListener("click", () => {});
+	via.missing.deeper.addEventListener("click", Via.callback(() => {}, { preventDefault: true }));
+	await assert.rejects(settle());
+
+	let stats = await controller.getStats();
+	assert.equal(stats.controller.callbacks, 2);
+
+	// Once the unused shims are collected, the receiver's cleanup message lets the controller drop the callbacks.
+	for (let i = 0; i < 10 && stats.controller.callbacks > 0; ++i)
+	{
+		gc();
+		await new Promise(resolve => setTimeout(resolve, 30));
+		stats = await controller.getStats();
+	}
+
+	assert.equal(stats.controller.callbacks, 0);
+	assert.equal(stats.receiver.callbacks, 0);
+});
+
+test("async callbacks can return a placeholder for an object they create", async () =>
+{
+	// Commands wait for an animation frame in frame sync mode, so they haven't run when the result arrives.
+	globalThis.requestAnimationFrame = (callback => setTimeout(callback, 0));
+
+	try
+	{
+		const root = MakeRoot();
+		root.make = () => ({ made: true });
+		const { via, settle } = ViaLoopback.create({ root, receiverOptions: { frameSync: true } });
+
+		via.button.addEventListener("check", Via.callback(() => via.make(), { async: true }));
+		await settle();
+
+		const [result] = root.button.dispatch(1);
+
+		assert.deepEqual(await result, { made: true });
+	}
+	finally
+	{
+		delete globalThis.requestAnimationFrame;
+	}
+});
+
+test("async callback results needed by paused commands aren't held up", async () =>
+{
+	const root = MakeRoot();
+	root.use = function (value) { this.used = value; };
+	const { via, settle } = ViaLoopback.create({ root });
+
+	// The call returns a promise for the callback's result, so the next command pauses until it resolves.
+	const doubled = via.call(Via.callback(x => x * 2, { async: true }), 21);
+	via.use(doubled);
+	await settle();
+
+	assert.equal(root.used, 42);
+});
+
+test("async callback results don't wait for commands paused on the callback's own promise", async () =>
+{
+	const root = MakeRoot();
+	root.make = () => ({ made: true });
+	root.run = async func => await func();
+	const { via, get } = ViaLoopback.create({ root });
+
+	// get() pauses until run() resolves, which waits for the callback's result, so that can't be deferred until
+	// the commands the callback made have run. The result can't be used, but it fails rather than hanging.
+	const result = get(via.run(Via.callback(() => via.make(), { async: true })));
+
+	await assert.rejects(result, /missing object id/);
+});
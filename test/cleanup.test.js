@@ -0,0 +1,209 @@
+"use strict";
+
+// Tests for "cleanup" messages, which let the receiver drop object IDs the controller no longer uses.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ViaLoopback = require("../via/node/loopback.js");
+
+// Cleanup messages are batched on a 10 ms timer.
+function WaitForCleanup()
+{
+	return new Promise(resolve => setTimeout(resolve, 30));
+}
+
+// Create a receiver that records the messages it posts, for sending it messages directly.
+function MakeReceiver(root)
+{
+	const posted = [];
+	const receiver = ViaReceiver.createReceiver({ root, postMessage: data => posted.push(data) });
+	return { receiver, posted };
+}
+
+class Thing
+{
+}
+
+test("Via.release() lets the receiver drop the object", async () =>
+{
+	const { via, receiver, settle } = ViaLoopback.create({ root: { Thing } });
+
+	const thing = new via.Thing();
+	await settle();
+	assert.equal(receiver.getStats().objects, 2);
+
+	Via.release(thing);
+	await WaitForCleanup();
+	await settle();
+
+	assert.equal(receiver.getStats().objects, 1);
+});
+
+test("released placeholders can't be used", async () =>
+{
+	const { via, get } = ViaLoopback.create({ root: { Thing } });
+
+	const thing = new via.Thing();
+	Via.release(thing);
+
+	assert.throws(() => { thing.x = 1; }, /because it was released/);
+	await assert.rejects(get(thing.x), /because it was released/);
+});
+
+test("Symbol.dispose releases a placeholder", async () =>
+{
+	const { via, receiver, settle } = ViaLoopback.create({ root: { Thing } });
+
+	const thing = new via.Thing();
+	await settle();
+
+	thing[Symbol.dispose]();
+	await WaitForCleanup();
+	await settle();
+
+	assert.equal(receiver.getStats().objects, 1);
+});
+
+test("the global object can't be released", async () =>
+{
+	const { via, get } = ViaLoopback.create({ root: { value: 1 } });
+
+	Via.release(via);
+
+	assert.equal(await get(via.value), 1);
+});
+
+test("an ID sent more times than cleaned up is kept", () =>
+{
+	const root = { obj: {}, getObj() { return this.obj; } };
+	const { receiver, posted } = MakeReceiver(root);
+
+	receiver.OnMessage({ type: "cmds", flushId: 0, cmds: [[0 /* call */, 0, ["getObj"], [], 1]] });
+	receiver.OnMessage({ type: "cmds", flushId: 1, cmds: [[2 /* get */, 0, 0, ["obj"]]] });
+
+	// The receiver sends the same object with the ID the controller created for it.
+	assert.deepEqual(posted[1].getResults, [[0, [1 /* object */, 1]]]);
+	assert.equal(receiver.getStats().objects, 2);
+
+	// The controller has only seen the ID once, so the second use is still in flight.
+	receiver.OnMessage({ type: "cleanup", ids: [[1, 1]] });
+	assert.equal(receiver.getStats().objects, 2);
+
+	receiver.OnMessage({ type: "cleanup", ids: [[1, 1]] });
+	assert.equal(receiver.getStats().objects, 1);
+});
+
+test("cleaned up IDs can't be used", () =>
+{
+	const root = { make: () => ({}) };
+	const { receiver, posted } = MakeReceiver(root);
+
+	receiver.OnMessage({ type: "cmds", flushId: 0, cmds: [[0 /* call */, 0, ["make"], [], 1]] });
+	receiver.OnMessage({ type: "cleanup", ids: [[1, 1]] });
+	receiver.OnMessage({ type: "cmds", flushId: 1, cmds: [[2 /* get */, 0, 1, ["x"]]] });
+
+	assert.equal(posted[1].errors.length, 1);
+	assert.match(posted[1].errors[0].message, /missing object id: 1/);
+});
+
+test("cleanups wait while commands are paused", async () =>
+{
+	let resolve = null;
+	const root = {
+		wait: () => new Promise(r => { resolve = r; }),
+		use(value) { this.used = value; }
+	};
+	const { receiver, posted } = MakeReceiver(root);
+
+	// The second command uses the pending ID, so running pauses until the promise resolves.
+	receiver.OnMessage({ type: "cmds", flushId: 0, cmds: [
+		[0 /* call */, 0, ["wait"], [], 1],
+		[0 /* call */, 0, ["use"], [[1 /* object */, 1]], 2]
+	] });
+	receiver.OnMessage({ type: "cleanup", ids: [[1, 1], [2, 1]] });
+
+	resolve("value");
+	await new Promise(r => setTimeout(r, 0));
+
+	assert.equal(root.used, "value");
+	assert.equal(posted[0].type, "done");
+	assert.deepEqual(posted[0].errors, []);
+	assert.equal(receiver.getStats().objects, 1);
+});
+
+test("garbage collected placeholders are cleaned up", async () =>
+{
+	// Get the gc() function without needing the --expose-gc flag.
+	require("node:v8").setFlagsFromString("--expose-gc");
+	const gc = require("node:vm").runInNewContext("gc");
+
+	const { via, receiver, settle } = ViaLoopback.create({ root: { Thing } });
+
+	for (let i = 0; i < 10; ++i)
+		new via.Thing();
+
+	await settle();
+	assert.equal(receiver.getStats().objects, 11);
+
+	// Finalizers run in a later task after the placeholders are collected.
+	for (let i = 0; i < 10 && receiver.getStats().objects > 1; ++i)
+	{
+		gc();
+		await WaitForCleanup();
+		await settle();
+	}
+
+	assert.equal(receiver.getStats().objects, 1);
+});
+
+test("scopes release placeholders created through them", async () =>
+{
+	const root = { Thing, make: () => new Thing(), later: value => Promise.resolve(value) };
+	const { via, get, controller, receiver, settle } = ViaLoopback.create({ root });
+
+	const kept = new via.Thing();
+	let inner = null;
+
+	const result = await controller.scope(async scope =>
+	{
+		// valueOf() returns the object itself, under a new ID from a placeholder created through the scope.
+		inner = scope.via.make().valueOf();
+		await get(scope.via.later(1));
+
+		// Placeholders created through 'via' while the scope is waiting aren't part of it.
+		return await get(via.later(2));
+	});
+
+	assert.equal(result, 2);
+	assert.throws(() => { inner.x = 1; }, /because it was released/);
+	kept.x = 1;
+
+	await WaitForCleanup();
+	await settle();
+
+	// The root, 'kept' and the promise result from outside the scope are left.
+	assert.equal(receiver.getStats().objects, 3);
+});
+
+test("scopes release tracked placeholders", async () =>
+{
+	const { via, controller } = ViaLoopback.create({ root: { Thing } });
+
+	const thing = new via.Thing();
+	await controller.scope(scope => { scope.track(thing); });
+
+	assert.throws(() => { thing.x = 1; }, /because it was released/);
+});
+
+test("scopes release placeholders when the function throws", async () =>
+{
+	const { controller } = ViaLoopback.create({ root: { Thing } });
+	let thing = null;
+
+	await assert.rejects(controller.scope(scope =>
+	{
+		thing = new scope.via.Thing();
+		throw new Error("failed");
+	}), /failed/);
+
+	assert.throws(() => { thing.x = 1; }, /because it was released/);
+});
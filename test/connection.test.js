@@ -0,0 +1,89 @@
+"use strict";
+
+// Tests for detecting a receiver that stops responding, with the ack timeout and heartbeat connection options.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ViaLoopback = require("../via/node/loopback.js");
+
+function Wait(ms)
+{
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Create a controller whose receiver never answers, recording the error it disconnects with.
+function MakeUnansweredController(options)
+{
+	const ret = { error: null, posted: [] };
+
+	ret.controller = Via.createController(Object.assign({ onDisconnect: err => { ret.error = err; } }, options));
+	ret.controller.postMessage = (data => ret.posted.push(data));
+	return ret;
+}
+
+test("flushes the receiver doesn't finish within the ack timeout disconnect", async () =>
+{
+	const { controller } = MakeUnansweredController({ ackTimeout: 20 });
+	const via = controller.via;
+
+	const value = controller.get(via.x);
+	const flushed = controller.Flush();
+
+	await assert.rejects(value, err => err instanceof Via.DisconnectedError && /did not respond within 20 ms/.test(err.message));
+	await assert.rejects(flushed, Via.DisconnectedError);
+	assert.throws(() => { via.x = 1; }, Via.DisconnectedError);
+});
+
+test("onDisconnect is called when the ack timeout passes", async () =>
+{
+	const unanswered = MakeUnansweredController({ ackTimeout: 10 });
+
+	unanswered.controller.via.x = 1;
+	await Wait(40);
+
+	assert.ok(unanswered.error instanceof Via.DisconnectedError);
+});
+
+test("a receiver that answers in time stays connected", async () =>
+{
+	const { via, get } = ViaLoopback.create({ root: { x: 1 }, controllerOptions: { ackTimeout: 20 } });
+
+	assert.equal(await get(via.x), 1);
+	await Wait(40);
+	assert.equal(await get(via.x), 1);
+});
+
+test("a missed heartbeat disconnects", async () =>
+{
+	const unanswered = MakeUnansweredController({ heartbeatInterval: 10 });
+
+	for (let i = 0; i < 10 && !unanswered.error; ++i)
+		await Wait(10);
+
+	assert.ok(unanswered.error instanceof Via.DisconnectedError);
+	assert.match(unanswered.error.message, /did not respond to a heartbeat within 10 ms/);
+	assert.equal(unanswered.posted[0].type, "ping");
+
+	// Nothing else is sent once the connection is closed.
+	const count = unanswered.posted.length;
+	await Wait(30);
+	assert.equal(unanswered.posted.length, count);
+	assert.throws(() => { unanswered.controller.via.x = 1; }, Via.DisconnectedError);
+});
+
+test("a receiver that answers heartbeats stays connected", async () =>
+{
+	let error = null;
+	const { via, get, controller } = ViaLoopback.create({ root: { x: 1 }, controllerOptions: { heartbeatInterval: 10, onDisconnect: err => { error = err; } } });
+
+	try
+	{
+		await Wait(60);
+
+		assert.equal(error, null);
+		assert.equal(await get(via.x), 1);
+	}
+	finally
+	{
+		controller.setConnectionOptions({ heartbeatInterval: 0 });
+	}
+});
@@ -0,0 +1,70 @@
+"use strict";
+
+// Tests for the binary command encoding (via/controller/binary.js and via/receiver/binary.js).
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ViaLoopback = require("../via/node/loopback.js");
+
+function MakeRoot()
+{
+	return {
+		a: {},
+		b: {},
+		c: {},
+		list: [],
+		add: (x, y) => x + y
+	};
+}
+
+test("commands work the same with binary encoding", async () =>
+{
+	const root = MakeRoot();
+	const { via, get, controller } = ViaLoopback.create({ root });
+	controller.setEncoding("binary");
+
+	via.a.text = "binary";
+	via.a.num = -12.5;
+	via.list.push({ nested: [1, null, undefined] }, new Map([["k", true]]));
+
+	assert.equal(await get(via.add(2, 3)), 5);
+	assert.equal(root.a.text, "binary");
+	assert.equal(root.a.num, -12.5);
+	assert.deepEqual(root.list[0], { nested: [1, null, undefined] });
+	assert.equal(root.list[1].get("k"), true);
+});
+
+test("switching encodings back and forth keeps property names in sync", async () =>
+{
+	const root = MakeRoot();
+	const { via, controller, settle } = ViaLoopback.create({ root });
+
+	controller.setEncoding("binary");
+	via.a.x = 1;
+	controller.setEncoding("array");
+	via.b.w = 0;
+	controller.setEncoding("binary");
+	via.c.y = 2;
+	via.c.z = 3;
+	await settle();
+
+	assert.deepEqual(root.a, { x: 1 });
+	assert.deepEqual(root.b, { w: 0 });
+	assert.deepEqual(root.c, { y: 2, z: 3 });
+});
+
+test("binary encoding starts again after reconnecting", async () =>
+{
+	const root = MakeRoot();
+	const { via, controller, settle } = ViaLoopback.create({ root });
+
+	controller.setEncoding("binary");
+	via.a.x = 1;
+	await settle();
+
+	controller.close();
+	controller.reconnect();
+	via.c.y = 2;
+	await settle();
+
+	assert.deepEqual(root.c, { y: 2 });
+});
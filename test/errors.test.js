@@ -0,0 +1,147 @@
+"use strict";
+
+// Tests for how errors are reported, both from commands that fail on the receiver and misuse on the controller.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ViaLoopback = require("../via/node/loopback.js");
+
+function MakeRoot()
+{
+	return {
+		value: 0,
+		fail: () => { throw new RangeError("out of range"); },
+		make: () => ({ x: 1 }),
+		get broken() { throw new Error("broken getter"); }
+	};
+}
+
+test("a failed call rejects the flush with a Via.RemoteError", async () =>
+{
+	const { via, settle } = ViaLoopback.create({ root: MakeRoot() });
+
+	via.fail();
+
+	await assert.rejects(settle(), err =>
+	{
+		assert.ok(err instanceof Via.RemoteError);
+		assert.equal(err.remoteName, "RangeError");
+		assert.equal(err.remoteMessage, "out of range");
+		assert.equal(err.cmdType, "call");
+		assert.deepEqual(err.path, ["fail"]);
+		return true;
+	});
+});
+
+test("calling something that isn't a function fails", async () =>
+{
+	const { via, settle } = ViaLoopback.create({ root: MakeRoot() });
+
+	via.missing.deeper();
+
+	await assert.rejects(settle(), err => err instanceof Via.RemoteError && err.remoteName === "TypeError");
+});
+
+test("commands after a failed command still run", async () =>
+{
+	const root = MakeRoot();
+	const { via, settle } = ViaLoopback.create({ root });
+
+	via.fail();
+	via.value = 5;
+
+	await assert.rejects(settle());
+	assert.equal(root.value, 5);
+});
+
+test("a failed get rejects its own promise, not the flush", async () =>
+{
+	const { via, get, settle } = ViaLoopback.create({ root: MakeRoot() });
+
+	const value = get(via.broken);
+	await settle();
+
+	await assert.rejects(value, err => err instanceof Via.RemoteError && err.remoteMessage === "broken getter" && err.cmdType === "get");
+});
+
+test("using the result of a failed call explains why", async () =>
+{
+	const { via, get, settle } = ViaLoopback.create({ root: MakeRoot() });
+
+	const result = via.fail();
+	await assert.rejects(settle());
+
+	assert.throws(() => { result.x = 1; }, /because the command that created it failed/);
+	await assert.rejects(get(result.x), err => err.remoteName === "RangeError");
+});
+
+test("using the result of a failed call before it fails explains why", async () =>
+{
+	const { via, get, settle } = ViaLoopback.create({ root: MakeRoot() });
+
+	const result = via.fail();
+	const value = get(result.x);
+	await assert.rejects(settle());
+
+	await assert.rejects(value, /unavailable because the command that created it failed: RangeError/);
+});
+
+test("arguments that can't be passed throw straight away", () =>
+{
+	const { via } = ViaLoopback.create({ root: MakeRoot() });
+	const circular = {};
+	circular.self = circular;
+
+	assert.throws(() => via.make(Symbol("s")), /cannot pass a symbol/);
+	assert.throws(() => via.make(new (class Local {})()), /cannot pass a Local/);
+	assert.throws(() => via.make(circular), /circular references/);
+});
+
+test("a closed connection rejects everything with a Via.DisconnectedError", async () =>
+{
+	const { via, get, controller } = ViaLoopback.create({ root: MakeRoot() });
+
+	const pending = get(via.value);
+	controller.close();
+
+	await assert.rejects(pending, Via.DisconnectedError);
+	await assert.rejects(get(via.value), Via.DisconnectedError);
+	assert.throws(() => { via.value = 1; }, Via.DisconnectedError);
+});
+
+test("placeholders from before a reconnect can't be used", async () =>
+{
+	const { via, get, controller } = ViaLoopback.create({ root: MakeRoot() });
+
+	const obj = via.make();
+	controller.close();
+	controller.reconnect();
+
+	assert.throws(() => { obj.x = 2; }, /from a previous connection/);
+	assert.equal(await get(via.value), 0);
+});
+
+test("debug mode adds the command path and where it was made", async () =>
+{
+	const { via, settle } = ViaLoopback.create({ root: MakeRoot(), controllerOptions: { debug: true } });
+
+	via.make().fail();
+
+	await assert.rejects(settle(), err =>
+	{
+		assert.equal(err.commandPath, "make().fail");
+		assert.match(err.controllerStack, /errors\.test\.js/);
+		assert.match(err.message, /'make\(\)\.fail'/);
+		return true;
+	});
+});
+
+test("the receiver reports unknown commands", () =>
+{
+	const posted = [];
+	const receiver = ViaReceiver.createReceiver({ root: MakeRoot(), postMessage: data => posted.push(data) });
+
+	receiver.OnMessage({ type: "cmds", flushId: 0, cmds: [[99]] });
+
+	assert.equal(posted[0].type, "done");
+	assert.match(posted[0].errors[0].message, /invalid cmd type: 99/);
+});
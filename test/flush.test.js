@@ -0,0 +1,153 @@
+"use strict";
+
+// Tests for flush limits on the controller (setFlushOptions()) and the time budget on the receiver (setTimeBudget()).
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ViaLoopback = require("../via/node/loopback.js");
+
+function MakeRoot()
+{
+	return {
+		log: [],
+		add(value) { this.log.push(value); },
+		bad() { throw new RangeError("bad command"); }
+	};
+}
+
+// Record the command messages the controller posts.
+function RecordMessages(controller)
+{
+	const messages = [];
+	const post = controller.postMessage;
+
+	controller.postMessage = (data, transferList) =>
+	{
+		if (data.type === "cmds")
+			messages.push(data);
+
+		post(data, transferList);
+	};
+
+	return messages;
+}
+
+// Wait long enough for the receiver's time budget and the loopback's messages to catch up.
+function WaitForTasks()
+{
+	return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+test("long queues are split over several messages in order", async () =>
+{
+	const root = MakeRoot();
+	const { via, controller, settle } = ViaLoopback.create({ root });
+	const messages = RecordMessages(controller);
+	controller.setFlushOptions({ maxCommandsPerMessage: 2 });
+
+	for (let i = 0; i < 5; ++i)
+		via.add(i);
+
+	await settle();
+
+	assert.deepEqual(messages.map(message => message.cmds.length), [2, 2, 1]);
+	assert.deepEqual(root.log, [0, 1, 2, 3, 4]);
+});
+
+test("flushes wait while too many are in flight", async () =>
+{
+	let resolve = null;
+	const root = MakeRoot();
+	root.wait = () => new Promise(r => { resolve = r; });
+	const { via, controller, settle } = ViaLoopback.create({ root });
+	const messages = RecordMessages(controller);
+	controller.setFlushOptions({ maxCommandsPerMessage: 2, maxInFlightFlushes: 1 });
+
+	// Using the promise result pauses the receiver until it resolves, so the first message isn't done.
+	via.add(via.wait());
+	via.add(1);
+	via.add(2);
+	const flushed = settle();
+	await WaitForTasks();
+
+	assert.equal(messages.length, 1);
+	assert.deepEqual(root.log, []);
+
+	resolve(0);
+	await flushed;
+
+	assert.equal(messages.length, 2);
+	assert.deepEqual(root.log, [0, 1, 2]);
+});
+
+test("Flush() rejects for failed commands in messages split off earlier", async () =>
+{
+	const root = MakeRoot();
+	const { via, controller } = ViaLoopback.create({ root });
+	controller.setFlushOptions({ maxCommandsPerMessage: 2 });
+
+	via.bad();
+	via.add(1);
+	via.add(2);
+	via.add(3);
+
+	await assert.rejects(controller.Flush(), err => err instanceof Via.RemoteError && err.remoteMessage === "bad command");
+	assert.deepEqual(root.log, [1, 2, 3]);
+});
+
+test("a message that can't be posted fails its flush and gets without blocking later flushes", async () =>
+{
+	const root = MakeRoot();
+	const { via, get, controller, settle } = ViaLoopback.create({ root });
+	controller.setFlushOptions({ maxInFlightFlushes: 1 });
+
+	const post = controller.postMessage;
+	controller.postMessage = () => { throw new Error("post failed"); };
+
+	via.add(1);
+	const value = get(via.log.length);
+	const flushed = controller.Flush();
+	controller.postMessage = post;
+
+	await assert.rejects(flushed, /post failed/);
+	await assert.rejects(value, /post failed/);
+
+	via.add(2);
+	await settle();
+	assert.deepEqual(root.log, [2]);
+});
+
+test("the time budget lets other tasks run between commands", async () =>
+{
+	const order = [];
+	const root = {
+		slow()
+		{
+			const start = performance.now();
+			while (performance.now() - start < 3);
+			order.push("command");
+		}
+	};
+	const { via, receiver, settle } = ViaLoopback.create({ root, receiverOptions: { timeBudget: 5 } });
+
+	for (let i = 0; i < 6; ++i)
+		via.slow();
+
+	setTimeout(() => order.push("timer"), 0);
+	await settle();
+
+	assert.equal(order.filter(item => item === "command").length, 6);
+	assert.ok(order.indexOf("timer") < order.length - 1, "the timer runs before the last command");
+
+	// Without a budget all the commands run together.
+	order.length = 0;
+	receiver.setTimeBudget(0);
+
+	for (let i = 0; i < 6; ++i)
+		via.slow();
+
+	setTimeout(() => order.push("timer"), 0);
+	await settle();
+	await WaitForTasks();
+
+	assert.equal(order.indexOf("timer"), 6);
+});
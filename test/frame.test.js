@@ -0,0 +1,137 @@
+"use strict";
+
+// Tests for frame-synchronized updates, with Via.frame() on the controller and setFrameSync() on the receiver,
+// using a fake requestAnimationFrame() whose frames are run by the test.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ViaLoopback = require("../via/node/loopback.js");
+
+function MakeRoot()
+{
+	return {
+		log: [],
+		add(value) { this.log.push(value); }
+	};
+}
+
+// Install a fake requestAnimationFrame() for the rest of the test. RunFrame() calls the callbacks requested so far.
+function UseFakeAnimationFrames(t)
+{
+	const callbacks = [];
+
+	globalThis.requestAnimationFrame = (callback => callbacks.push(callback));
+	t.after(() => { delete globalThis.requestAnimationFrame; });
+
+	return {
+		get requested() { return callbacks.length; },
+		RunFrame()
+		{
+			for (const callback of callbacks.splice(0))
+				callback(performance.now());
+		}
+	};
+}
+
+// Record the command messages the controller posts.
+function RecordMessages(controller)
+{
+	const messages = [];
+	const post = controller.postMessage;
+
+	controller.postMessage = (data, transferList) =>
+	{
+		if (data.type === "cmds")
+			messages.push(data);
+
+		post(data, transferList);
+	};
+
+	return messages;
+}
+
+function WaitForTasks()
+{
+	return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+test("Via.frame() sends its commands together and runs them in the next frame", async t =>
+{
+	const frames = UseFakeAnimationFrames(t);
+	const root = MakeRoot();
+	const { controller, via } = ViaLoopback.create({ root });
+	const messages = RecordMessages(controller);
+
+	// Commands made before the frame are sent separately and run straight away.
+	via.add("before");
+
+	let isDone = false;
+	const done = controller.frame(() =>
+	{
+		via.add(1);
+		via.add(2);
+		via.title = "two items";
+	}).then(() => { isDone = true; });
+
+	assert.equal(messages.length, 2);
+	assert.equal(messages[0].frame, undefined);
+	assert.equal(messages[1].frame, true);
+
+	await WaitForTasks();
+	assert.deepEqual(root.log, ["before"]);
+	assert.equal(root.title, undefined);
+	assert.equal(isDone, false);
+	assert.equal(frames.requested, 1);
+
+	frames.RunFrame();
+	assert.deepEqual(root.log, ["before", 1, 2]);
+	assert.equal(root.title, "two items");
+
+	// The promise resolves without needing another frame.
+	await done;
+	assert.equal(frames.requested, 0);
+});
+
+test("frame sync runs everything that arrived before a frame together", async t =>
+{
+	const frames = UseFakeAnimationFrames(t);
+	const root = MakeRoot();
+	const { controller, via } = ViaLoopback.create({ root, receiverOptions: { frameSync: true } });
+	const messages = RecordMessages(controller);
+
+	via.add(1);
+	const first = controller.Flush();
+	await WaitForTasks();
+
+	via.add(2);
+	const second = controller.Flush();
+	await WaitForTasks();
+
+	// Both messages are buffered until the frame, and only one frame is requested.
+	assert.equal(messages.length, 2);
+	assert.deepEqual(root.log, []);
+	assert.equal(frames.requested, 1);
+
+	frames.RunFrame();
+	assert.deepEqual(root.log, [1, 2]);
+	await Promise.all([first, second]);
+
+	// Commands after the frame wait for the next one.
+	via.add(3);
+	const third = controller.Flush();
+	await WaitForTasks();
+	assert.deepEqual(root.log, [1, 2]);
+	assert.equal(frames.requested, 1);
+
+	frames.RunFrame();
+	await third;
+	assert.deepEqual(root.log, [1, 2, 3]);
+});
+
+test("frame commands run straight away without requestAnimationFrame()", async () =>
+{
+	const root = MakeRoot();
+	const { controller, via } = ViaLoopback.create({ root });
+
+	await controller.frame(() => via.add(1));
+	assert.deepEqual(root.log, [1]);
+});
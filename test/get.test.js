@@ -0,0 +1,146 @@
+"use strict";
+
+// Tests for get(), which retrieves real values from the receiver.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ViaLoopback = require("../via/node/loopback.js");
+
+function MakeRoot()
+{
+	return {
+		str: "text",
+		num: 1.5,
+		bool: true,
+		nothing: null,
+		buffer: new Uint8Array([1, 2, 3]).buffer,
+		nested: { value: { deeper: 42 } },
+		later: value => Promise.resolve(value),
+		fail: () => Promise.reject(new RangeError("no")),
+		makeObject: () => ({ name: "obj" })
+	};
+}
+
+test("get() resolves with primitive values", async () =>
+{
+	const { via, get } = ViaLoopback.create({ root: MakeRoot() });
+
+	assert.equal(await get(via.str), "text");
+	assert.equal(await get(via.num), 1.5);
+	assert.equal(await get(via.bool), true);
+	assert.equal(await get(via.nothing), null);
+	assert.equal(await get(via.missing), undefined);
+	assert.equal(await get(via.nested.value.deeper), 42);
+});
+
+test("get() copies ArrayBuffers", async () =>
+{
+	const { via, get } = ViaLoopback.create({ root: MakeRoot() });
+
+	const buffer = await get(via.buffer);
+
+	assert.ok(buffer instanceof ArrayBuffer);
+	assert.deepEqual(Array.from(new Uint8Array(buffer)), [1, 2, 3]);
+});
+
+test("get() copies typed arrays and DataViews", async () =>
+{
+	const root = MakeRoot();
+	root.bytes = new Uint8Array([4, 5, 6]);
+	root.view = new DataView(new ArrayBuffer(2));
+	const { via, get } = ViaLoopback.create({ root });
+
+	const bytes = await get(via.bytes);
+	const view = await get(via.view);
+
+	assert.ok(bytes instanceof Uint8Array);
+	assert.deepEqual(Array.from(bytes), [4, 5, 6]);
+	assert.ok(view instanceof DataView);
+	assert.equal(view.byteLength, 2);
+});
+
+test("get() of a value that isn't a placeholder resolves with it", async () =>
+{
+	const { get } = ViaLoopback.create({ root: MakeRoot() });
+
+	assert.equal(await get(5), 5);
+});
+
+test("several gets are answered in one round-trip", async () =>
+{
+	const { via, get, controller } = ViaLoopback.create({ root: MakeRoot(), controllerOptions: { debug: true } });
+
+	const values = await Promise.all([get(via.str), get(via.num), get(via.bool)]);
+	const stats = await controller.getStats();
+
+	assert.deepEqual(values, ["text", 1.5, true]);
+	assert.equal(stats.controller.flushes, 1);
+});
+
+test("get() waits for promises returned on the receiver", async () =>
+{
+	const { via, get } = ViaLoopback.create({ root: MakeRoot() });
+
+	assert.equal(await get(via.later("done")), "done");
+});
+
+test("placeholders for promise results act like the resolved value", async () =>
+{
+	const { via, get } = ViaLoopback.create({ root: MakeRoot() });
+
+	const obj = via.later(via.makeObject());
+
+	assert.equal(await get(obj.name), "obj");
+});
+
+test("get() of an object resolves with the same placeholder each time", async () =>
+{
+	const { via, get } = ViaLoopback.create({ root: MakeRoot() });
+
+	const first = await get(via.nested.value);
+	const second = await get(via.nested.value);
+
+	assert.equal(typeof first, "function");
+	assert.equal(first, second);
+	assert.equal(await get(first.deeper), 42);
+});
+
+test("get() of a promise that resolves with an object resolves with its placeholder", async () =>
+{
+	const root = MakeRoot();
+	root.load = async () => root.nested;
+	const { via, get } = ViaLoopback.create({ root });
+
+	const loaded = await get(via.load());
+
+	assert.equal(loaded, await get(via.nested));
+	assert.equal(await get(loaded.value.deeper), 42);
+});
+
+test("object placeholders can be returned from async functions", async () =>
+{
+	const { via, get } = ViaLoopback.create({ root: MakeRoot() });
+
+	const obj = await (async () => via.makeObject())();
+
+	assert.equal(await get(obj.name), "obj");
+});
+
+test("get() rejects if a promise on the receiver rejects", async () =>
+{
+	const { via, get } = ViaLoopback.create({ root: MakeRoot() });
+
+	await assert.rejects(get(via.fail()), err => err instanceof Via.RemoteError && /promise was rejected: RangeError: no/.test(err.remoteMessage));
+});
+
+test("get() commands run in order with other commands", async () =>
+{
+	const root = MakeRoot();
+	const { via, get } = ViaLoopback.create({ root });
+
+	via.str = "first";
+	const first = get(via.str);
+	via.str = "second";
+
+	assert.equal(await first, "first");
+	assert.equal(await get(via.str), "second");
+});
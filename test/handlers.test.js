@@ -0,0 +1,225 @@
+"use strict";
+
+// Tests for the Proxy traps of Via objects and properties (ViaObjectHandler and ViaPropertyHandler), which turn
+// ordinary JavaScript into commands for the receiver.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ViaLoopback = require("../via/node/loopback.js");
+
+class Point
+{
+	constructor(x, y)
+	{
+		this.x = x;
+		this.y = y;
+	}
+
+	length()
+	{
+		return Math.hypot(this.x, this.y);
+	}
+}
+
+function MakeRoot()
+{
+	return {
+		title: "",
+		document: { title: "", body: { children: [] } },
+		math: { add: (a, b) => a + b },
+		Point,
+		makeList: () => [],
+		obj: { [Symbol.toStringTag]: "Fake" }
+	};
+}
+
+test("setting a property on the root object", async () =>
+{
+	const root = MakeRoot();
+	const { via, settle } = ViaLoopback.create({ root });
+
+	via.title = "Hello";
+	await settle();
+
+	assert.equal(root.title, "Hello");
+});
+
+test("setting a property on a property path", async () =>
+{
+	const root = MakeRoot();
+	const { via, settle } = ViaLoopback.create({ root });
+
+	via.document.title = "Page";
+	via.document.body.id = "main";
+	await settle();
+
+	assert.equal(root.document.title, "Page");
+	assert.equal(root.document.body.id, "main");
+});
+
+test("deleting a property", async () =>
+{
+	const root = MakeRoot();
+	root.extra = 1;
+	root.document.extra = 2;
+	const { via, settle } = ViaLoopback.create({ root });
+
+	delete via.extra;
+	delete via.document.extra;
+	await settle();
+
+	assert.equal("extra" in root, false);
+	assert.equal("extra" in root.document, false);
+});
+
+test("calling a function returns a placeholder for its result", async () =>
+{
+	const { via, get, settle } = ViaLoopback.create({ root: MakeRoot() });
+
+	const sum = via.math.add(1, 2);
+	assert.equal(typeof sum, "function");
+
+	const value = get(sum);
+	await settle();
+
+	assert.equal(await value, 3);
+});
+
+test("calls use the property path as 'this'", async () =>
+{
+	const root = MakeRoot();
+	const { via, get } = ViaLoopback.create({ root });
+
+	const list = via.makeList();
+	list.push("a");
+	list.push("b");
+
+	assert.equal(await get(list.length), 2);
+	assert.equal(await get(list.join(",")), "a,b");
+});
+
+test("constructing an object with 'new'", async () =>
+{
+	const { via, get } = ViaLoopback.create({ root: MakeRoot() });
+
+	const point = new via.Point(3, 4);
+
+	assert.equal(await get(point.x), 3);
+	assert.equal(await get(point.length()), 5);
+});
+
+test("setting and deleting properties on a returned object", async () =>
+{
+	const { via, get } = ViaLoopback.create({ root: MakeRoot() });
+
+	const point = new via.Point(1, 2);
+	point.x = 10;
+	delete point.y;
+
+	assert.equal(await get(point.x), 10);
+	assert.equal(await get(point.y), undefined);
+});
+
+test("placeholders can be passed as arguments and values", async () =>
+{
+	const root = MakeRoot();
+	const { via, settle } = ViaLoopback.create({ root });
+
+	const point = new via.Point(1, 2);
+	via.document.body.children.push(point);
+	via.document.body.first = point;
+	via.document.body.title = via.document.title;
+	await settle();
+
+	assert.ok(root.document.body.children[0] instanceof Point);
+	assert.equal(root.document.body.first, root.document.body.children[0]);
+	assert.equal(root.document.body.title, "");
+});
+
+test("arrays, plain objects, Maps and Sets are passed with their contents", async () =>
+{
+	const root = MakeRoot();
+	root.store = function (value) { this.stored = value; };
+	const { via, settle } = ViaLoopback.create({ root });
+
+	const point = new via.Point(1, 2);
+	via.store({ list: [1, point], map: new Map([["p", point]]), set: new Set(["x"]) });
+	await settle();
+
+	const stored = root.stored;
+	assert.equal(stored.list[0], 1);
+	assert.ok(stored.list[1] instanceof Point);
+	assert.equal(stored.map.get("p"), stored.list[1]);
+	assert.deepEqual(Array.from(stored.set), ["x"]);
+});
+
+test("well-known symbols can be used in property paths", async () =>
+{
+	const { via, get } = ViaLoopback.create({ root: MakeRoot() });
+
+	assert.equal(await get(via.obj[Symbol.toStringTag]), "Fake");
+});
+
+test("other symbols return undefined and can't be set", () =>
+{
+	const { via } = ViaLoopback.create({ root: MakeRoot() });
+	const symbol = Symbol("local");
+
+	assert.equal(via.obj[symbol], undefined);
+	assert.throws(() => { via.obj[symbol] = 1; }, TypeError);
+	assert.throws(() => { delete via[symbol]; }, TypeError);
+});
+
+test("property proxies are cached for the same path", () =>
+{
+	const { via } = ViaLoopback.create({ root: MakeRoot() });
+
+	const document = via.document;
+
+	assert.equal(document.body, document.body);
+});
+
+test("operators that must answer synchronously throw", () =>
+{
+	const { via } = ViaLoopback.create({ root: MakeRoot() });
+
+	assert.throws(() => "title" in via.document, /Via\.has\(\)/);
+	assert.throws(() => Object.keys(via.document), /Via\.keys\(\)/);
+	assert.throws(() => ({}) instanceof via.Point, /Via\.isInstance\(\)/);
+	assert.throws(() => [...via.makeList()], /Via\.iterate\(\)/);
+});
+
+test("query helpers answer on the receiver", async () =>
+{
+	const { via } = ViaLoopback.create({ root: MakeRoot() });
+	const point = new via.Point(1, 2);
+
+	assert.equal(await Via.has(via.document, "title"), true);
+	assert.equal(await Via.has(via.document, "missing"), false);
+	assert.deepEqual(await Via.keys(via.math), ["add"]);
+	assert.equal(await Via.typeOf(via.math.add), "function");
+	assert.equal(await Via.isInstance(point, via.Point), true);
+	assert.equal(await Via.isSame(point, point), true);
+});
+
+test("Via.has() works with symbol and number keys", async () =>
+{
+	const root = MakeRoot();
+	root.list = ["a"];
+	const { via } = ViaLoopback.create({ root });
+
+	assert.equal(await Via.has(via.list, Symbol.iterator), true);
+	assert.equal(await Via.has(via.math, Symbol.iterator), false);
+	assert.equal(await Via.has(via.list, 0), true);
+	assert.equal(await Via.has(via.list, 3), false);
+	await assert.rejects(Via.has(via.list, Symbol("local")), /cannot use Symbol\(local\) with Via\.has\(\)/);
+});
+
+test("placeholders can't be used with a different controller", () =>
+{
+	const a = ViaLoopback.create({ root: MakeRoot() });
+	const b = ViaLoopback.create({ root: MakeRoot() });
+
+	const point = new a.via.Point(1, 2);
+
+	assert.throws(() => b.via.document.body.children.push(point), /different Via controller/);
+});
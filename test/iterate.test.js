@@ -0,0 +1,71 @@
+"use strict";
+
+// Tests for iterating remote objects with for-await and Via.iterate().
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ViaLoopback = require("../via/node/loopback.js");
+
+// Cleanup messages are batched on a 10 ms timer.
+function WaitForCleanup()
+{
+	return new Promise(resolve => setTimeout(resolve, 30));
+}
+
+function MakeRoot()
+{
+	return {
+		numbers: [1, 2, 3, 4, 5],
+		items: [{ name: "a" }, { name: "b" }]
+	};
+}
+
+test("for-await iterates remote arrays in batches", async () =>
+{
+	const { via } = ViaLoopback.create({ root: MakeRoot() });
+	const values = [];
+
+	for await (const value of Via.iterate(via.numbers, { batch: 2 }))
+		values.push(value);
+
+	assert.deepEqual(values, [1, 2, 3, 4, 5]);
+});
+
+test("object items are placeholders", async () =>
+{
+	const { via, get } = ViaLoopback.create({ root: MakeRoot() });
+	const names = [];
+
+	for await (const item of via.items)
+		names.push(await get(item.name));
+
+	assert.deepEqual(names, ["a", "b"]);
+});
+
+test("the remote iterator is released when iterating ends", async () =>
+{
+	const { via, receiver, settle } = ViaLoopback.create({ root: MakeRoot() });
+
+	for await (const value of Via.iterate(via.numbers, { batch: 2 }))
+		assert.equal(typeof value, "number");
+
+	await WaitForCleanup();
+	await settle();
+
+	assert.equal(receiver.getStats().objects, 1);
+});
+
+test("the remote iterator is released when breaking out of the loop", async () =>
+{
+	const { via, receiver, settle } = ViaLoopback.create({ root: MakeRoot() });
+
+	for await (const value of Via.iterate(via.numbers, { batch: 2 }))
+	{
+		if (value === 1)
+			break;
+	}
+
+	await WaitForCleanup();
+	await settle();
+
+	assert.equal(receiver.getStats().objects, 1);
+});
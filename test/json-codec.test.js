@@ -0,0 +1,72 @@
+"use strict";
+
+// Tests for ViaJSONCodec, which sends messages as JSON text.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ViaJSONCodec = require("../via/common/json-codec.js");
+
+function RoundTrip(value)
+{
+	return ViaJSONCodec.decode(ViaJSONCodec.encode(value));
+}
+
+test("values JSON would lose are kept", () =>
+{
+	const value = {
+		nothing: undefined,
+		nan: NaN,
+		negZero: -0,
+		big: 10n ** 20n,
+		date: new Date(5),
+		re: /a+/gi,
+		map: new Map([[1, "one"]]),
+		set: new Set(["x"]),
+		tagged: { "$": "not a tag" }
+	};
+
+	assert.deepEqual(RoundTrip(value), value);
+});
+
+test("binary data is kept", () =>
+{
+	const decoded = RoundTrip([new Uint8Array([1, 2]).buffer, new Int16Array([-1, 300]), new DataView(new ArrayBuffer(3))]);
+
+	assert.deepEqual(Array.from(new Uint8Array(decoded[0])), [1, 2]);
+	assert.ok(decoded[1] instanceof Int16Array);
+	assert.deepEqual(Array.from(decoded[1]), [-1, 300]);
+	assert.ok(decoded[2] instanceof DataView);
+	assert.equal(decoded[2].byteLength, 3);
+});
+
+test("standard error types are kept", () =>
+{
+	const decoded = RoundTrip([new RangeError("range"), Object.assign(new Error("custom"), { name: "CustomError" })]);
+
+	assert.ok(decoded[0] instanceof RangeError);
+	assert.equal(decoded[0].message, "range");
+	assert.equal(Object.getPrototypeOf(decoded[1]), Error.prototype);
+	assert.equal(decoded[1].name, "CustomError");
+});
+
+test("decoding only creates known typed array types", () =>
+{
+	for (const t of ["Function", "Array", "Float16Array", "constructor"])
+		assert.throws(() => ViaJSONCodec.decode(JSON.stringify({ "$": "ta", "t": t, "v": "AAAA" })), /invalid typed array type/);
+});
+
+test("decoding doesn't create non-error types for errors", () =>
+{
+	const err = ViaJSONCodec.decode(JSON.stringify({ "$": "e", "v": ["Function", "return 1", ""] }));
+
+	assert.equal(Object.getPrototypeOf(err), Error.prototype);
+	assert.equal(err.message, "return 1");
+});
+
+test("values that can't be encoded throw", () =>
+{
+	assert.throws(() => ViaJSONCodec.encode(() => {}), /cannot encode a function/);
+	assert.throws(() => ViaJSONCodec.encode(new WeakMap()), /cannot encode a \[object WeakMap\]/);
+
+	if (typeof Float16Array === "function")
+		assert.throws(() => ViaJSONCodec.encode(new Float16Array(1)), /cannot encode a \[object Float16Array\]/);
+});
@@ -0,0 +1,155 @@
+"use strict";
+
+// Tests for receiver access policies, which restrict what the controller can reach.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ViaLoopback = require("../via/node/loopback.js");
+
+// A root standing in for a window, with a document whose cookie is a getter on its prototype as in browsers.
+function MakeRoot()
+{
+	const documentProto = {
+		get cookie() { return "secret cookie"; }
+	};
+
+	const root = {
+		secret: "secret value",
+		Object,
+		Reflect,
+		Array,
+		console: { log() {} },
+		document: Object.create(documentProto)
+	};
+
+	root.document.defaultView = root;
+	root.document.body = { ownerDocument: root.document, textContent: "", getRoot: () => root };
+	return root;
+}
+
+// Get a value from a call that fails, flushing straight away so the failed call rejects here rather than being logged.
+async function AssertCallRejects(get, settle, proxy)
+{
+	const value = get(proxy);
+	await assert.rejects(settle(), IsPolicyError);
+	await assert.rejects(value, IsPolicyError);
+}
+
+// Using the result of a rejected command reports the ViaPolicyError as the reason it's unavailable, so check the message.
+function IsPolicyError(err)
+{
+	return err instanceof Via.RemoteError && /ViaPolicyError/.test(err.message);
+}
+
+test("paths outside the allow list are rejected", async () =>
+{
+	const { via, get } = ViaLoopback.create({ root: MakeRoot(), receiverOptions: { policy: { allow: ["document.body"] } } });
+
+	assert.equal(await get(via.document.body.textContent), "");
+	await assert.rejects(get(via.secret), IsPolicyError);
+	await assert.rejects(get(via.document.defaultView), IsPolicyError);
+});
+
+test("the root can't be reached again from an allowed object", async () =>
+{
+	const { via, get, settle } = ViaLoopback.create({ root: MakeRoot(), receiverOptions: { policy: { allow: ["document.body"] } } });
+
+	await assert.rejects(get(via.document.body.ownerDocument.defaultView.secret), IsPolicyError);
+	await AssertCallRejects(get, settle, via.document.body.getRoot().secret);
+});
+
+test("the global object can't be reached from an allowed object", async () =>
+{
+	const root = MakeRoot();
+	root.document.body.getGlobal = () => globalThis;
+	const { via, get, settle } = ViaLoopback.create({ root, receiverOptions: { policy: { allow: ["document.body"] } } });
+
+	await AssertCallRejects(get, settle, via.document.body.getGlobal().process);
+});
+
+test("denied paths are rejected wherever they are reached from", async () =>
+{
+	const { via, get } = ViaLoopback.create({ root: MakeRoot(), receiverOptions: { policy: { deny: ["document.cookie", "Array"] } } });
+
+	await assert.rejects(get(via.document.cookie), IsPolicyError);
+	await assert.rejects(get(via.document.body.ownerDocument.cookie), IsPolicyError);
+	await assert.rejects(get(via.document.defaultView.Array.isArray), IsPolicyError);
+});
+
+test("Reflect can't be used to get around the policy", async () =>
+{
+	const root = MakeRoot();
+	const { via, get, settle } = ViaLoopback.create({ root, receiverOptions: { policy: { deny: ["document.cookie"], readOnly: true } } });
+
+	await AssertCallRejects(get, settle, via.Reflect.get(via.document, "cookie"));
+
+	via.Reflect.set(via.document, "x", 1);
+	await assert.rejects(settle(), IsPolicyError);
+	assert.equal(root.document.x, undefined);
+});
+
+test("property descriptors can't be used to get around the policy", async () =>
+{
+	const root = MakeRoot();
+	const { via, get, settle } = ViaLoopback.create({ root, receiverOptions: { policy: { deny: ["document.cookie"], readOnly: true } } });
+
+	const proto = via.Object.getPrototypeOf(via.document);
+	await AssertCallRejects(get, settle, via.Object.getOwnPropertyDescriptor(proto, "cookie").get.call(via.document));
+	await AssertCallRejects(get, settle, via.document.__lookupGetter__("cookie").call(via.document));
+
+	via.Object.defineProperty(via.document, "x", { value: 1 });
+	via.Object.assign(via.document, { y: 2 });
+	await assert.rejects(settle(), IsPolicyError);
+	assert.equal(root.document.x, undefined);
+	assert.equal(root.document.y, undefined);
+});
+
+test("functions can't reach the Function constructor or eval to run code", async () =>
+{
+	const root = MakeRoot();
+	root.math = { add: (x, y) => x + y, addLater: async (x, y) => x + y, *count() { yield 1; } };
+	root.eval = eval;
+	const { via, get, settle } = ViaLoopback.create({ root, receiverOptions: { policy: { allow: ["math"] } } });
+
+	assert.equal(await get(via.math.add(1, 2)), 3);
+	await AssertCallRejects(get, settle, via.math.add.constructor("return globalThis.process.version").call(null));
+	await AssertCallRejects(get, settle, via.math.addLater.constructor("return 1").call(null));
+	await AssertCallRejects(get, settle, via.math.count.constructor("yield 1").call(null));
+	await AssertCallRejects(get, settle, via.math.add.call.constructor("return 1").call(null));
+});
+
+test("Function and eval are denied without an allow list", async () =>
+{
+	const root = MakeRoot();
+	root.eval = eval;
+	root.Function = Function;
+	const { via, get, settle } = ViaLoopback.create({ root, receiverOptions: { policy: { deny: ["secret"] } } });
+
+	await AssertCallRejects(get, settle, via.eval("1 + 1"));
+	await AssertCallRejects(get, settle, via.Function("return 1").call(null));
+});
+
+test("read-only policies reject writes except for writable paths", async () =>
+{
+	const root = MakeRoot();
+	const { via, settle } = ViaLoopback.create({ root, receiverOptions: { policy: { readOnly: true, writable: ["*.textContent"] } } });
+
+	via.document.body.textContent = "allowed";
+	await settle();
+	assert.equal(root.document.body.textContent, "allowed");
+
+	via.document.title = "denied";
+	await assert.rejects(settle(), IsPolicyError);
+	assert.equal(root.document.title, undefined);
+});
+
+test("only listed constructors can be used with new", async () =>
+{
+	class Allowed {}
+	class Other {}
+	const root = MakeRoot();
+	Object.assign(root, { Allowed, Other });
+	const { via, get, settle } = ViaLoopback.create({ root, receiverOptions: { policy: { constructors: ["Allowed"] } } });
+
+	assert.equal(await Via.isInstance(new via.Allowed(), via.Allowed), true);
+	await AssertCallRejects(get, settle, new via.Other());
+});
@@ -0,0 +1,78 @@
+"use strict";
+
+// Tests for messaging over shared memory (via/common/shared-channel.js) and Via.getSync(), with the receiver
+// running in a worker_threads Worker so the controller can block while it runs commands.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { Worker } = require("node:worker_threads");
+const Via = require("../via/node/controller.js");
+
+// Code run by the worker. Worker code passed with { eval: true } runs as a script rather than a module, so it
+// mustn't declare a top-level ViaReceiver, which would shadow the global the receiver scripts use.
+const workerCode = `
+	const receiver = require(${JSON.stringify(path.join(__dirname, "../via/node/receiver.js"))});
+	receiver.expose("api", {
+		x: 5,
+		add(a, b) { return a + b; },
+		repeat(text, n) { return text.repeat(n); },
+		fail() { throw new RangeError("failed on the receiver"); }
+	});
+	receiver.connectParentPort();
+`;
+
+// Start a receiver in a worker and connect a new controller to it over shared memory.
+function StartWorker(t, options)
+{
+	const worker = new Worker(workerCode, { eval: true });
+	const controller = Via.createController();
+	const removeListeners = Via.connectNodeWorker(worker, controller);
+
+	t.after(async () =>
+	{
+		removeListeners();
+		await worker.terminate();
+	});
+
+	assert.equal(controller.useSharedMemory(options), true);
+	return { controller, api: controller.remote("api") };
+}
+
+test("getSync() blocks until the receiver returns a value", t =>
+{
+	const { controller, api } = StartWorker(t);
+
+	assert.equal(controller.getSync(api.x, 5000), 5);
+	assert.equal(controller.getSync(api.add(2, 3), 5000), 5);
+
+	// Commands made before getSync() have run by the time it returns.
+	api.x = 10;
+	assert.equal(controller.getSync(api.x, 5000), 10);
+});
+
+test("getSync() keeps working after the ring buffer wraps around", t =>
+{
+	const { controller, api } = StartWorker(t, { bufferSize: 4096 });
+
+	// Each result is long enough that the buffer fills up several times over.
+	for (let i = 0; i < 50; ++i)
+	{
+		const text = controller.getSync(api.repeat(String(i % 10), 500), 5000);
+		assert.equal(text, String(i % 10).repeat(500));
+	}
+});
+
+test("getSync() throws errors from the receiver", t =>
+{
+	const { controller, api } = StartWorker(t);
+
+	assert.throws(() => controller.getSync(api.fail(), 5000), /failed on the receiver/);
+	assert.equal(controller.getSync(api.x, 5000), 5);
+});
+
+test("get() still works over shared memory", async t =>
+{
+	const { controller, api } = StartWorker(t);
+
+	assert.equal(await controller.get(api.add(1, 2)), 3);
+});
@@ -0,0 +1,66 @@
+"use strict";
+
+// Tests for transferring objects instead of copying them, with Via.transfer() and ViaReceiver.transfer().
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ViaLoopback = require("../via/node/loopback.js");
+
+function MakeRoot()
+{
+	return {
+		received: null,
+		take(value) { this.received = value; }
+	};
+}
+
+test("Via.transfer() detaches the buffer on the controller", async () =>
+{
+	const root = MakeRoot();
+	const { via, settle } = ViaLoopback.create({ root });
+	const buffer = new Uint8Array([1, 2, 3, 4]).buffer;
+
+	via.take(Via.transfer(buffer));
+	await settle();
+
+	assert.equal(buffer.byteLength, 0);
+	assert.deepEqual(Array.from(new Uint8Array(root.received)), [1, 2, 3, 4]);
+});
+
+test("Via.transfer() of a typed array transfers its buffer", async () =>
+{
+	const root = MakeRoot();
+	const { via, settle } = ViaLoopback.create({ root });
+	const array = new Float64Array([0.5, 1.5]);
+
+	via.take(Via.transfer(array));
+	await settle();
+
+	assert.equal(array.buffer.byteLength, 0);
+	assert.ok(root.received instanceof Float64Array);
+	assert.deepEqual(Array.from(root.received), [0.5, 1.5]);
+});
+
+test("arguments are copied without Via.transfer()", async () =>
+{
+	const root = MakeRoot();
+	const { via, settle } = ViaLoopback.create({ root });
+	const buffer = new ArrayBuffer(8);
+
+	via.take(buffer);
+	await settle();
+
+	assert.equal(buffer.byteLength, 8);
+	assert.notEqual(root.received, buffer);
+});
+
+test("ViaReceiver.transfer() detaches a returned buffer on the receiver", async () =>
+{
+	const buffer = new Uint8Array([5, 6]).buffer;
+	const root = { make: () => ViaReceiver.transfer(buffer) };
+	const { via, get } = ViaLoopback.create({ root });
+
+	const result = await get(via.make());
+
+	assert.equal(buffer.byteLength, 0);
+	assert.deepEqual(Array.from(new Uint8Array(result)), [5, 6]);
+});
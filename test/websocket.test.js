@@ -0,0 +1,168 @@
+"use strict";
+
+// Tests for the WebSocket adapters (via/controller/websocket.js and via/receiver/websocket.js), using a pair of fake
+// sockets connected to each other in place of a real WebSocket server.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+require("../via/node/loopback.js");
+
+// A fake WebSocket with the parts of the API the adapters use. Sent text is delivered to the other socket of the
+// pair in a later task, as a real socket would.
+class FakeSocket extends EventTarget
+{
+	constructor()
+	{
+		super();
+		this.readyState = 0;		// CONNECTING
+		this.peer = null;
+		this.sent = [];
+	}
+
+	send(data)
+	{
+		if (this.readyState !== 1)
+			throw new Error("the socket isn't open");
+
+		this.sent.push(data);
+		setTimeout(() =>
+		{
+			if (this.peer.readyState === 1)
+				this.peer.dispatchEvent(new MessageEvent("message", { data }));
+		}, 0);
+	}
+
+	Open()
+	{
+		this.readyState = 1;		// OPEN
+		this.dispatchEvent(new Event("open"));
+	}
+
+	// Close both ends, as when the connection is lost.
+	close(code)
+	{
+		for (const socket of [this, this.peer])
+		{
+			if (socket.readyState === 3)
+				continue;
+
+			socket.readyState = 3;	// CLOSED
+			socket.dispatchEvent(Object.assign(new Event("close"), { code: code || 1000 }));
+		}
+	}
+}
+
+function MakeSocketPair()
+{
+	const controllerSocket = new FakeSocket();
+	const receiverSocket = new FakeSocket();
+	controllerSocket.peer = receiverSocket;
+	receiverSocket.peer = controllerSocket;
+	return [controllerSocket, receiverSocket];
+}
+
+function Connect(root)
+{
+	const controller = Via.createController();
+	const receiver = ViaReceiver.createReceiver({ root });
+	const [controllerSocket, receiverSocket] = MakeSocketPair();
+
+	Via.connectWebSocket(controllerSocket, controller);
+	ViaReceiver.connectWebSocket(receiverSocket, receiver);
+	receiverSocket.Open();
+
+	return { controller, receiver, controllerSocket, receiverSocket, via: controller.via, get: controller.get };
+}
+
+function MakeRoot()
+{
+	return {
+		data: { bytes: new Uint8Array([1, 2, 255]), nan: NaN },
+		store(value) { this.stored = value; },
+		make: () => ({ made: true })
+	};
+}
+
+test("commands sent before the socket opens are sent once it does", async () =>
+{
+	const root = MakeRoot();
+	const { via, get, controllerSocket } = Connect(root);
+
+	via.store("early");
+	const value = get(via.stored);
+	await new Promise(resolve => setTimeout(resolve, 0));
+	assert.equal(controllerSocket.sent.length, 0);
+
+	controllerSocket.Open();
+
+	assert.equal(await value, "early");
+	assert.ok(controllerSocket.sent.every(data => typeof data === "string"));
+});
+
+test("binary data and values JSON would lose make the round trip", async () =>
+{
+	const root = MakeRoot();
+	const { via, get, controller, controllerSocket } = Connect(root);
+	controllerSocket.Open();
+
+	const bytes = await get(via.data.bytes);
+	assert.ok(bytes instanceof Uint8Array);
+	assert.deepEqual(Array.from(bytes), [1, 2, 255]);
+	assert.ok(Number.isNaN(await get(via.data.nan)));
+
+	via.store(new Float64Array([-0, Infinity]));
+	await controller.Flush();
+	assert.ok(root.stored instanceof Float64Array);
+	assert.ok(Object.is(root.stored[0], -0));
+	assert.equal(root.stored[1], Infinity);
+});
+
+test("binary command encoding works over the socket", async () =>
+{
+	const root = MakeRoot();
+	const { via, get, controller, controllerSocket } = Connect(root);
+	controllerSocket.Open();
+	controller.setEncoding("binary");
+
+	via.store(new Uint8Array([7, 8]));
+	assert.equal(await get(via.make().made), true);
+	assert.deepEqual(Array.from(root.stored), [7, 8]);
+});
+
+test("closing the socket disconnects both sides", async () =>
+{
+	const root = MakeRoot();
+	const { via, get, controller, receiver, controllerSocket } = Connect(root);
+	controllerSocket.Open();
+
+	const obj = via.make();
+	await controller.Flush();
+	assert.equal(receiver.getStats().objects, 2);
+
+	const pending = get(obj.made);
+	controllerSocket.close(1006);
+
+	await assert.rejects(pending, err => err instanceof Via.DisconnectedError && /closed with code 1006/.test(err.message));
+	assert.throws(() => { via.x = 1; }, Via.DisconnectedError);
+	assert.equal(receiver.getStats().objects, 1);
+});
+
+test("the connection can continue with a new socket after reconnecting", async () =>
+{
+	const root = MakeRoot();
+	const { via, get, controller, receiver, controllerSocket } = Connect(root);
+	controllerSocket.Open();
+
+	const old = via.make();
+	await controller.Flush();
+	controllerSocket.close();
+
+	const [newControllerSocket, newReceiverSocket] = MakeSocketPair();
+	Via.connectWebSocket(newControllerSocket, controller);
+	ViaReceiver.connectWebSocket(newReceiverSocket, receiver);
+	newReceiverSocket.Open();
+	newControllerSocket.Open();
+	controller.reconnect();
+
+	assert.equal(await get(via.make().made), true);
+	assert.throws(() => { old.x = 1; }, /from a previous connection/);
+});
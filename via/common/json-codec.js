@@ -0,0 +1,237 @@
+"use strict";
+
+{
+	// Codec for sending Via.js messages as JSON text, e.g. over a WebSocket, where there is no structured clone.
+	// Use it with setCodec() on both the controller and receiver. JSON can't represent everything structured clone
+	// can, such as undefined, NaN, -0 and ArrayBuffers, so these are written as tagged objects of the form
+	// {"$": tag, "v": value} and restored when decoding. Plain objects that happen to have a "$" property are tagged
+	// too, so they aren't mistaken for tagged values. Values that can't be read synchronously, such as Blobs, and
+	// values structured clone can't copy either, such as functions, throw when encoding.
+
+	const typedArrayNames = ["Int8Array", "Uint8Array", "Uint8ClampedArray", "Int16Array", "Uint16Array", "Int32Array",
+							 "Uint32Array", "Float32Array", "Float64Array", "BigInt64Array", "BigUint64Array"]
+							 .filter(name => typeof globalThis[name] === "function");
+
+	// Error types that structured clone keeps, which are the only ones restored when decoding.
+	const errorNames = ["Error", "EvalError", "RangeError", "ReferenceError", "SyntaxError", "TypeError", "URIError"];
+
+	// Blob and ImageData don't exist outside browsers (e.g. in Node.js), so only check for them if they do.
+	const BlobType = (typeof Blob === "function" ? Blob : null);
+	const ImageDataType = (typeof ImageData === "function" ? ImageData : null);
+
+	// Convert bytes to base64. String.fromCharCode() is called on chunks to avoid exceeding the maximum number of arguments.
+	function BytesToBase64(bytes)
+	{
+		let str = "";
+
+		for (let i = 0, len = bytes.length; i < len; i += 0x8000)
+			str += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+
+		return btoa(str);
+	}
+
+	function Base64ToBytes(str)
+	{
+		const binary = atob(str);
+		const ret = new Uint8Array(binary.length);
+
+		for (let i = 0, len = binary.length; i < len; ++i)
+			ret[i] = binary.charCodeAt(i);
+
+		return ret;
+	}
+
+	function ViewToBase64(view)
+	{
+		return BytesToBase64(new Uint8Array(view.buffer, view.byteOffset, view.byteLength));
+	}
+
+	// Set a property with defineProperty() rather than assignment, so a "__proto__" key is an ordinary property,
+	// as it is with JSON.parse() and structured clone, rather than changing the prototype.
+	function SetOwnProperty(o, key, value)
+	{
+		Object.defineProperty(o, key, { value, writable: true, enumerable: true, configurable: true });
+	}
+
+	function IsPlainObject(o)
+	{
+		const proto = Object.getPrototypeOf(o);
+		return proto === Object.prototype || proto === null;
+	}
+
+	// Convert a value to one that JSON.stringify() can write without losing information.
+	function ToJSONValue(value)
+	{
+		switch (typeof value) {
+		case "undefined":
+			return { "$": "u" };
+		case "number":
+			// NaN, Infinity, -Infinity and -0 are written as strings, which Number() converts back.
+			if (Number.isFinite(value) && !Object.is(value, -0))
+				return value;
+
+			return { "$": "n", "v": (Object.is(value, -0) ? "-0" : String(value)) };
+		case "bigint":
+			return { "$": "bi", "v": value.toString() };
+		case "string":
+		case "boolean":
+			return value;
+		case "object":
+			break;
+		default:
+			throw new TypeError(`ViaJSONCodec cannot encode a ${typeof value}`);
+		}
+
+		if (value === null)
+			return null;
+
+		if (Array.isArray(value))
+		{
+			// Use a loop rather than map(), which would leave holes that JSON writes as null.
+			const ret = new Array(value.length);
+
+			for (let i = 0, len = value.length; i < len; ++i)
+				ret[i] = ToJSONValue(value[i]);
+
+			return ret;
+		}
+
+		if (value instanceof ArrayBuffer)
+			return { "$": "ab", "v": BytesToBase64(new Uint8Array(value)) };
+
+		if (value instanceof DataView)
+			return { "$": "dv", "v": ViewToBase64(value) };
+
+		if (ArrayBuffer.isView(value))
+		{
+			// Subclasses such as Node.js Buffers are decoded as the standard typed array they derive from.
+			// Newer types such as Float16Array aren't supported, since the other side may not have them.
+			const typeName = typedArrayNames.find(name => value instanceof globalThis[name]);
+			if (typeName === undefined)
+				throw new TypeError(`ViaJSONCodec cannot encode a ${Object.prototype.toString.call(value)}`);
+
+			return { "$": "ta", "t": typeName, "v": ViewToBase64(value) };
+		}
+
+		if (value instanceof Date)
+			return { "$": "d", "v": ToJSONValue(value.getTime()) };
+
+		if (value instanceof RegExp)
+			return { "$": "re", "v": [value.source, value.flags] };
+
+		if (value instanceof Map)
+			return { "$": "m", "v": Array.from(value, ([k, v]) => [ToJSONValue(k), ToJSONValue(v)]) };
+
+		if (value instanceof Set)
+			return { "$": "s", "v": Array.from(value, v => ToJSONValue(v)) };
+
+		if (value instanceof Error)
+			return { "$": "e", "v": [value.name, value.message, value.stack || ""] };
+
+		if (ImageDataType !== null && value instanceof ImageDataType)
+			return { "$": "id", "w": value.width, "h": value.height, "v": ViewToBase64(value.data) };
+
+		if (BlobType !== null && value instanceof BlobType)
+			throw new TypeError("ViaJSONCodec cannot encode a Blob, since it can't be read synchronously");
+
+		if (!IsPlainObject(value))
+			throw new TypeError(`ViaJSONCodec cannot encode a ${Object.prototype.toString.call(value)}`);
+
+		const ret = {};
+
+		for (const key of Object.keys(value))
+			SetOwnProperty(ret, key, ToJSONValue(value[key]));
+
+		return (Object.prototype.hasOwnProperty.call(value, "$") ? { "$": "o", "v": ret } : ret);
+	}
+
+	// Restore a value written by ToJSONValue().
+	function FromJSONValue(value)
+	{
+		if (typeof value !== "object" || value === null)
+			return value;
+
+		if (Array.isArray(value))
+		{
+			for (let i = 0, len = value.length; i < len; ++i)
+				value[i] = FromJSONValue(value[i]);
+
+			return value;
+		}
+
+		if (!Object.prototype.hasOwnProperty.call(value, "$"))
+			return FromJSONObject(value);
+
+		const v = value["v"];
+
+		switch (value["$"]) {
+		case "u":
+			return undefined;
+		case "n":
+			return Number(v);
+		case "bi":
+			return BigInt(v);
+		case "ab":
+			return Base64ToBytes(v).buffer;
+		case "dv":
+			return new DataView(Base64ToBytes(v).buffer);
+		case "ta":
+			// Only construct the known typed array types, since the name comes from the message.
+			if (!typedArrayNames.includes(value["t"]))
+				throw new Error("ViaJSONCodec: invalid typed array type: " + value["t"]);
+
+			return new globalThis[value["t"]](Base64ToBytes(v).buffer);
+		case "d":
+			return new Date(FromJSONValue(v));
+		case "re":
+			return new RegExp(v[0], v[1]);
+		case "m":
+			return new Map(v.map(([k, val]) => [FromJSONValue(k), FromJSONValue(val)]));
+		case "s":
+			return new Set(v.map(FromJSONValue));
+		case "e":
+		{
+			// Use the standard error type with the same name, if any, as structured clone does.
+			const err = (errorNames.includes(v[0]) ? new globalThis[v[0]](v[1]) : new Error(v[1]));
+			err.name = v[0];
+			err.stack = v[2];
+			return err;
+		}
+		case "id":
+		{
+			// Outside browsers there is no ImageData, so use a plain object with the same properties.
+			const data = new Uint8ClampedArray(Base64ToBytes(v).buffer);
+			return (ImageDataType !== null ? new ImageDataType(data, value["w"], value["h"]) :
+											 { "width": value["w"], "height": value["h"], "data": data });
+		}
+		case "o":
+			return FromJSONObject(v);
+		default:
+			throw new Error("ViaJSONCodec: invalid tag: " + value["$"]);
+		}
+	}
+
+	function FromJSONObject(o)
+	{
+		for (const key of Object.keys(o))
+			SetOwnProperty(o, key, FromJSONValue(o[key]));
+
+		return o;
+	}
+
+	globalThis.ViaJSONCodec = {
+		encode(message)
+		{
+			return JSON.stringify(ToJSONValue(message));
+		},
+
+		decode(data)
+		{
+			return FromJSONValue(JSON.parse(data));
+		}
+	};
+
+	// Also export the codec when loaded as a CommonJS module, e.g. with require() in Node.js.
+	if (typeof module === "object" && module !== null && module.exports)
+		module.exports = ViaJSONCodec;
+}
@@ -0,0 +1,131 @@
+"use strict";
+
+{
+	// Loopback transport, which connects a controller and receiver in the same realm without a worker or page, e.g.
+	// for testing code that uses Via.js under Node.js with a fake or jsdom window as the receiver's root. Both the
+	// controller and receiver scripts must be loaded. Messages are structured cloned like postMessage would, so
+	// values that couldn't be posted still fail, and delivered in order at the next microtask rather than in a later
+	// task, so nothing depends on timers. settle() waits until the receiver has run everything sent so far.
+
+	// Connect a controller and receiver to each other. Options are:
+	// - controller: the controller to connect, which defaults to the default controller (Via)
+	// - receiver: the receiver to connect, which defaults to the default receiver (ViaReceiver)
+	// - clone: false to pass messages as-is instead of structured cloning them, e.g. if structuredClone() isn't
+	//   available. Note objects are then shared between the two sides, unlike with a real bridge.
+	// Returns an object with the controller and receiver, settle() and disconnect().
+	function Connect(options)
+	{
+		options = options || {};
+
+		if (!globalThis.Via || !globalThis.ViaReceiver)
+			throw new Error("ViaLoopback requires both the controller and receiver scripts to be loaded");
+
+		const controller = options.controller || Via;
+		const receiver = options.receiver || ViaReceiver;
+		const isCloning = (options.clone !== false);
+
+		if (isCloning && typeof structuredClone !== "function")
+			throw new Error("ViaLoopback needs structuredClone(), or pass { clone: false }");
+
+		const messages = [];						// list of [target, message] waiting to be delivered
+		let isDeliverPending = false;
+		let isConnected = true;
+
+		function Post(target, data, transferList)
+		{
+			if (!isConnected)
+				return;
+
+			if (isCloning)
+				data = structuredClone(data, { transfer: transferList || [] });
+
+			messages.push([target, data]);
+
+			if (!isDeliverPending)
+			{
+				isDeliverPending = true;
+				queueMicrotask(Deliver);
+			}
+		}
+
+		// Deliver all waiting messages in the order they were posted, including any posted while delivering.
+		function Deliver()
+		{
+			isDeliverPending = false;
+
+			while (messages.length && isConnected)
+			{
+				const [target, data] = messages.shift();
+				target.OnMessage(data);
+			}
+		}
+
+		// Wait until the receiver has run all the commands made so far, and any messages it posted back, such as
+		// callbacks, have been delivered. The returned promise rejects if any of the commands failed, like Flush().
+		async function Settle()
+		{
+			try
+			{
+				await controller.Flush();
+			}
+			finally
+			{
+				// Messages the receiver posted after its "done" message are still waiting for the next microtask.
+				Deliver();
+			}
+		}
+
+		// Stop delivering messages. Anything still waiting is dropped, as if the other side had gone away.
+		function Disconnect()
+		{
+			isConnected = false;
+			messages.length = 0;
+		}
+
+		controller.postMessage = ((data, transferList) => Post(receiver, data, transferList));
+		receiver.postMessage = ((data, transferList) => Post(controller, data, transferList));
+
+		return {
+			controller,
+			receiver,
+			settle: Settle,
+			disconnect: Disconnect
+		};
+	}
+
+	globalThis.ViaLoopback = {
+		connect: Connect,
+
+		// Create a new controller and receiver connected to each other, so tests don't share the default ones. Options
+		// are those of connect(), apart from controller and receiver, plus:
+		// - root: the object the controller's 'via' object represents, such as a jsdom window or a plain fake object.
+		//   Defaults to the global object.
+		// - controllerOptions, receiverOptions: options for Via.createController() and ViaReceiver.createReceiver()
+		// The returned object also has the controller's 'via' object and get() function.
+		create(options)
+		{
+			options = options || {};
+
+			if (!globalThis.Via || !globalThis.ViaReceiver)
+				throw new Error("ViaLoopback requires both the controller and receiver scripts to be loaded");
+
+			const receiverOptions = Object.assign({}, options.receiverOptions);
+			if ("root" in options)
+				receiverOptions.root = options.root;
+
+			const ret = Connect({
+				controller: Via.createController(options.controllerOptions),
+				receiver: ViaReceiver.createReceiver(receiverOptions),
+				clone: options.clone
+			});
+
+			ret.via = ret.controller.via;
+			ret.get = ret.controller.get;
+			return ret;
+		}
+	};
+
+	// Also export the loopback when loaded as a CommonJS module, e.g. with require() in Node.js.
+	if (typeof module === "object" && module !== null && module.exports)
+		module.exports = ViaLoopback;
+}
@@ -0,0 +1,484 @@
+"use strict";
+
+{
+	// A message channel over shared memory, used by both the controller and receiver when the page is
+	// cross-origin isolated. Each direction uses a SharedArrayBuffer as a ring buffer of length-prefixed
+	// records with a single writer and a single reader. This bypasses postMessage for the hot path, and
+	// allows the controller to block with Atomics.wait() for results (see Via.getSync()).
+	//
+	// Messages are written as JSON (with tags for values JSON can't represent, like undefined), or for
+	// binary command lists, as the raw bytes. Anything else, such as messages with Blobs or transferred
+	// objects, falls back to postMessage. In that case a placeholder record is written to the ring buffer
+	// so the reader still processes all messages in their original order.
+
+	// Header is an Int32Array at the start of the buffer, followed by the ring buffer data.
+	const HEADER_WRITE_POS = 0;			// next byte offset to write, only changed by the writer
+	const HEADER_READ_POS = 1;			// next byte offset to read, only changed by the reader
+	const HEADER_SIGNAL = 2;			// incremented on every write, for Atomics.wait()/notify()
+	const HEADER_WAITS_ASYNC = 3;		// 1 if the reader is using Atomics.waitAsync(), so needs no notify messages
+	const HEADER_NOTIFY_PENDING = 4;	// 1 if the writer has posted a notify message the reader hasn't handled yet
+	const HEADER_BYTES = 32;
+
+	// Record kinds
+	const KIND_JSON = 0;				// UTF-8 JSON message
+	const KIND_BINARY_CMDS = 1;			// float64 flush ID followed by a binary command list
+	const KIND_POSTED = 2;				// the next message was sent with postMessage instead
+
+	const RECORD_HEADER_BYTES = 5;		// uint32 length + kind byte
+
+	const defaultBufferSize = 1024 * 1024;
+
+	const textEncoder = new TextEncoder();
+	const textDecoder = new TextDecoder();
+
+	// JSON.stringify replacer that tags values JSON can't represent, and throws for any kind of object
+	// other than plain objects and arrays (e.g. Blob, ArrayBuffer), so the message falls back to postMessage.
+	// Note the value must be read from the holder, since JSON.stringify calls toJSON() before the replacer.
+	function JsonReplacer(key, value)
+	{
+		const original = this[key];
+
+		switch (typeof original) {
+		case "undefined":
+			return { "$via": "undefined" };
+		case "number":
+			if (!isFinite(original) || Object.is(original, -0))
+				return { "$via": Object.is(original, -0) ? "-0" : String(original) };
+
+			return value;
+		case "object":
+			if (original !== null && !Array.isArray(original))
+			{
+				const proto = Object.getPrototypeOf(original);
+				if (proto !== Object.prototype && proto !== null)
+					throw new Error("not JSON-safe");
+			}
+
+			return value;
+		case "bigint":
+		case "function":
+		case "symbol":
+			throw new Error("not JSON-safe");
+		default:
+			return value;
+		}
+	}
+
+	function JsonReviver(key, value)
+	{
+		if (value !== null && typeof value === "object" && typeof value["$via"] === "string")
+		{
+			switch (value["$via"]) {
+			case "undefined":
+				return undefined;
+			case "-0":
+				return -0;
+			default:
+				return Number(value["$via"]);		// NaN, Infinity or -Infinity
+			}
+		}
+
+		return value;
+	}
+
+	// Make a record with its header filled in, ready for the payload to be written after the header.
+	function MakeRecord(kind, payloadLength)
+	{
+		const ret = new Uint8Array(RECORD_HEADER_BYTES + payloadLength);
+		new DataView(ret.buffer).setUint32(0, payloadLength);
+		ret[4] = kind;
+		return ret;
+	}
+
+	globalThis.ViaSharedChannel = class ViaSharedChannel
+	{
+		// Shared memory requires SharedArrayBuffer and Atomics, which browsers only provide when
+		// cross-origin isolated.
+		static IsSupported()
+		{
+			return typeof SharedArrayBuffer !== "undefined" && typeof Atomics !== "undefined" &&
+					(typeof crossOriginIsolated === "undefined" || crossOriginIsolated);
+		}
+
+		static CreateBuffer(size)
+		{
+			return new SharedArrayBuffer(HEADER_BYTES + (size || defaultBufferSize));
+		}
+
+		// sendBuffer and receiveBuffer are SharedArrayBuffers from CreateBuffer(), which the other side
+		// uses the other way round. postMessage is the normal message bridge, used for fallbacks and
+		// notify messages, and onMessage is called with every message read from the channel.
+		constructor(sendBuffer, receiveBuffer, postMessage, onMessage)
+		{
+			this._sendHeader = new Int32Array(sendBuffer, 0, HEADER_BYTES / 4);
+			this._sendData = new Uint8Array(sendBuffer, HEADER_BYTES);
+			this._receiveHeader = new Int32Array(receiveBuffer, 0, HEADER_BYTES / 4);
+			this._receiveData = new Uint8Array(receiveBuffer, HEADER_BYTES);
+
+			this._postMessage = postMessage;
+			this._onMessage = onMessage;
+
+			this._overflow = [];				// records waiting for space in the send buffer
+			this._overflowTimerId = -1;
+			this._postedQueue = [];				// messages that arrived via postMessage, waiting for their turn
+			this._isWaitingForPosted = false;	// reader reached a KIND_POSTED record but the message hasn't arrived yet
+			this._isStarted = false;
+			this._isReading = false;
+			this._deferred = [];				// messages read but not yet dispatched, e.g. during WaitSync()
+		}
+
+		// Post a message through the channel.
+		Post(data, transferList)
+		{
+			const record = this._EncodeRecord(data, transferList);
+
+			// Messages which can't be encoded, or which are too big to ever fit in the buffer, go via postMessage.
+			if (record && record.length < this._sendData.length)
+			{
+				this._WriteRecord(record);
+			}
+			else
+			{
+				this._postMessage({
+					"type": "shared-posted",
+					"message": data
+				}, transferList);
+
+				this._WriteRecord(MakeRecord(KIND_POSTED, 0));
+			}
+		}
+
+		// Start reading messages. Until this is called incoming messages are left in the buffer.
+		Start()
+		{
+			if (this._isStarted)
+				return;
+
+			this._isStarted = true;
+
+			if (typeof Atomics.waitAsync === "function")
+			{
+				Atomics.store(this._receiveHeader, HEADER_WAITS_ASYNC, 1);
+				this._WaitAsync();
+			}
+
+			this._ReadAll();
+		}
+
+		// Called when a notify message is received, for readers which can't use Atomics.waitAsync().
+		OnNotify()
+		{
+			if (this._isStarted)
+				this._ReadAll();
+		}
+
+		// Called when a message which fell back to postMessage is received.
+		OnPosted(data)
+		{
+			// If the reader already reached the placeholder for this message, it is next in order after any
+			// deferred messages, which were read before the placeholder.
+			if (this._isWaitingForPosted)
+			{
+				this._isWaitingForPosted = false;
+				this._deferred.push(data);
+				this._ReadAll();
+			}
+			else
+			{
+				this._postedQueue.push(data);
+			}
+		}
+
+		// Block the calling thread with Atomics.wait() until isDone() returns true. This can only be used in
+		// contexts that allow blocking, such as workers. Messages for which canDispatchSync(data) returns true
+		// are dispatched immediately; others are deferred until after returning, so other code doesn't run
+		// unexpectedly. Returns false if it timed out or can't continue because the next message was sent
+		// with postMessage, which cannot be received whilst blocking.
+		WaitSync(isDone, canDispatchSync, timeoutMs)
+		{
+			const endTime = (typeof timeoutMs === "number" ? performance.now() + timeoutMs : Infinity);
+
+			while (!isDone())
+			{
+				const signal = Atomics.load(this._receiveHeader, HEADER_SIGNAL);
+
+				if (!this._ReadSync(isDone, canDispatchSync))
+					return false;
+
+				if (isDone())
+					break;
+
+				const remainingMs = endTime - performance.now();
+				if (remainingMs <= 0)
+					return false;
+
+				Atomics.wait(this._receiveHeader, HEADER_SIGNAL, signal, (remainingMs === Infinity ? undefined : remainingMs));
+			}
+
+			if (this._deferred.length)
+				setTimeout(() => this._ReadAll(), 0);
+
+			return true;
+		}
+
+		_EncodeRecord(data, transferList)
+		{
+			// Binary command lists with no separate values are sent as raw bytes. Commands from Via.frame() have
+			// an extra flag, so use the normal encoding for those.
+			if (data["type"] === "cmds" && data["binary"] && data["values"].length === 0 && !data["frame"])
+			{
+				const bytes = new Uint8Array(data["binary"]);
+				const record = MakeRecord(KIND_BINARY_CMDS, 8 + bytes.length);
+				new DataView(record.buffer).setFloat64(RECORD_HEADER_BYTES, data["flushId"]);
+				record.set(bytes, RECORD_HEADER_BYTES + 8);
+				return record;
+			}
+
+			// Anything with objects to transfer must use postMessage.
+			if (transferList && transferList.length)
+				return null;
+
+			let json;
+			try
+			{
+				json = JSON.stringify(data, JsonReplacer);
+			}
+			catch (err)
+			{
+				return null;
+			}
+
+			const bytes = textEncoder.encode(json);
+			const record = MakeRecord(KIND_JSON, bytes.length);
+			record.set(bytes, RECORD_HEADER_BYTES);
+			return record;
+		}
+
+		// Write a record. If there is not enough space, the record waits in the overflow list,
+		// and so does everything after it to preserve ordering.
+		_WriteRecord(record)
+		{
+			this._overflow.push(record);
+			this._WriteOverflow();
+		}
+
+		_GetFreeSpace()
+		{
+			const capacity = this._sendData.length;
+			const writePos = Atomics.load(this._sendHeader, HEADER_WRITE_POS);
+			const readPos = Atomics.load(this._sendHeader, HEADER_READ_POS);
+
+			// One byte is always left free to distinguish a full buffer from an empty one.
+			return capacity - 1 - ((writePos - readPos + capacity) % capacity);
+		}
+
+		_WriteOverflow()
+		{
+			const header = this._sendHeader;
+			const data = this._sendData;
+			const capacity = data.length;
+			let didWrite = false;
+
+			while (this._overflow.length && this._overflow[0].length <= this._GetFreeSpace())
+			{
+				const record = this._overflow.shift();
+				let writePos = Atomics.load(header, HEADER_WRITE_POS);
+
+				// Copy in up to two parts in case it wraps around the end of the buffer.
+				const firstPart = Math.min(record.length, capacity - writePos);
+				data.set(record.subarray(0, firstPart), writePos);
+				data.set(record.subarray(firstPart), 0);
+
+				writePos = (writePos + record.length) % capacity;
+				Atomics.store(header, HEADER_WRITE_POS, writePos);
+				didWrite = true;
+			}
+
+			if (didWrite)
+				this._Notify();
+
+			// If records are still waiting the reader is behind, so check again shortly.
+			if (this._overflow.length && this._overflowTimerId === -1)
+			{
+				this._overflowTimerId = setTimeout(() =>
+				{
+					this._overflowTimerId = -1;
+					this._WriteOverflow();
+				}, 1);
+			}
+		}
+
+		_Notify()
+		{
+			const header = this._sendHeader;
+			Atomics.add(header, HEADER_SIGNAL, 1);
+			Atomics.notify(header, HEADER_SIGNAL);
+
+			// Readers that can't wait asynchronously need a message to tell them to read. Only post
+			// one at a time, since the reader reads everything available when it gets it.
+			if (Atomics.load(header, HEADER_WAITS_ASYNC) === 0 && Atomics.compareExchange(header, HEADER_NOTIFY_PENDING, 0, 1) === 0)
+			{
+				this._postMessage({
+					"type": "shared-notify"
+				});
+			}
+		}
+
+		_WaitAsync()
+		{
+			const signal = Atomics.load(this._receiveHeader, HEADER_SIGNAL);
+			const result = Atomics.waitAsync(this._receiveHeader, HEADER_SIGNAL, signal);
+
+			if (result.async)
+			{
+				result.value.then(() =>
+				{
+					this._ReadAll();
+					this._WaitAsync();
+				});
+			}
+			else
+			{
+				// Signal already changed
+				Promise.resolve().then(() =>
+				{
+					this._ReadAll();
+					this._WaitAsync();
+				});
+			}
+		}
+
+		// Read one record from the receive buffer, or return null if it is empty.
+		_ReadRecord()
+		{
+			const header = this._receiveHeader;
+			const data = this._receiveData;
+			const capacity = data.length;
+			let readPos = Atomics.load(header, HEADER_READ_POS);
+
+			if (readPos === Atomics.load(header, HEADER_WRITE_POS))
+				return null;
+
+			const recordHeader = this._CopyOut(readPos, RECORD_HEADER_BYTES);
+			const length = new DataView(recordHeader.buffer).getUint32(0);
+			const kind = recordHeader[4];
+			const payload = this._CopyOut((readPos + RECORD_HEADER_BYTES) % capacity, length);
+
+			readPos = (readPos + RECORD_HEADER_BYTES + length) % capacity;
+			Atomics.store(header, HEADER_READ_POS, readPos);
+
+			return [kind, payload];
+		}
+
+		// Copy bytes out of the shared buffer, since some APIs like TextDecoder don't accept shared memory.
+		_CopyOut(pos, length)
+		{
+			const data = this._receiveData;
+			const ret = new Uint8Array(length);
+			const firstPart = Math.min(length, data.length - pos);
+			ret.set(data.subarray(pos, pos + firstPart));
+			ret.set(data.subarray(0, length - firstPart), firstPart);
+			return ret;
+		}
+
+		_DecodeRecord(kind, payload)
+		{
+			switch (kind) {
+			case KIND_JSON:
+				return JSON.parse(textDecoder.decode(payload), JsonReviver);
+			case KIND_BINARY_CMDS:
+				return {
+					"type": "cmds",
+					"binary": payload.buffer.slice(8),
+					"values": [],
+					"flushId": new DataView(payload.buffer).getFloat64(0)
+				};
+			default:
+				throw new Error("invalid shared channel record kind: " + kind);
+			}
+		}
+
+		// Read and dispatch all available messages.
+		_ReadAll()
+		{
+			if (this._isReading || this._isWaitingForPosted)
+				return;
+
+			this._isReading = true;
+			Atomics.store(this._receiveHeader, HEADER_NOTIFY_PENDING, 0);
+
+			try
+			{
+				while (this._deferred.length)
+					this._onMessage(this._deferred.shift());
+
+				let record;
+				while ((record = this._ReadRecord()))
+				{
+					const [kind, payload] = record;
+
+					if (kind === KIND_POSTED)
+					{
+						if (!this._postedQueue.length)
+						{
+							this._isWaitingForPosted = true;
+							break;
+						}
+
+						this._onMessage(this._postedQueue.shift());
+					}
+					else
+					{
+						this._onMessage(this._DecodeRecord(kind, payload));
+					}
+				}
+			}
+			finally
+			{
+				this._isReading = false;
+			}
+		}
+
+		// Read available messages whilst blocking in WaitSync(). Returns false if a message sent with
+		// postMessage is needed, which can't be received until the thread is unblocked.
+		_ReadSync(isDone, canDispatchSync)
+		{
+			if (this._isWaitingForPosted)
+				return false;
+
+			let record;
+			while (!isDone() && (record = this._ReadRecord()))
+			{
+				const [kind, payload] = record;
+
+				if (kind === KIND_POSTED)
+				{
+					if (!this._postedQueue.length)
+					{
+						this._isWaitingForPosted = true;
+						return false;
+					}
+
+					this._DispatchSync(this._postedQueue.shift(), canDispatchSync);
+				}
+				else
+				{
+					this._DispatchSync(this._DecodeRecord(kind, payload), canDispatchSync);
+				}
+			}
+
+			return true;
+		}
+
+		_DispatchSync(data, canDispatchSync)
+		{
+			if (canDispatchSync(data))
+				this._onMessage(data);
+			else
+				this._deferred.push(data);
+		}
+	};
+
+	if (typeof module === "object" && module !== null && module.exports)
+		module.exports = ViaSharedChannel;
+}
@@ -0,0 +1,347 @@
+"use strict";
+
+{
+	if (!globalThis.Via)
+		globalThis.Via = {};
+
+	// Optional compact binary encoding for command lists. Instead of posting a nested array of commands,
+	// which is slow to structured clone and creates lots of garbage, commands are written to a single
+	// reusable ArrayBuffer. Property names are interned in a table that persists over the whole session,
+	// so each name is only sent once. Any values which can't be written in binary (e.g. Blobs) are
+	// posted in a separate array alongside the buffer and referenced by index.
+	// The receiver must also load via/receiver/binary.js to decode this format.
+
+	// Command opcodes. These match the command types of the array format.
+	const OP_CALL = 0;
+	const OP_SET = 1;
+	const OP_GET = 2;
+	const OP_CONSTRUCT = 3;
+	const OP_CLONED = 255;				// fallback: the whole command array is in the values list
+
+	// Argument tags.
+	const TAG_UNDEFINED = 0;
+	const TAG_NULL = 1;
+	const TAG_FALSE = 2;
+	const TAG_TRUE = 3;
+	const TAG_INT = 4;					// zigzag varint
+	const TAG_FLOAT = 5;				// float64
+	const TAG_STRING = 6;				// varint byte length + UTF-8
+	const TAG_OBJECT = 7;				// zigzag varint object ID
+	const TAG_CALLBACK = 8;				// varint callback ID
+	const TAG_PROPERTY = 9;				// zigzag varint object ID + path
+	const TAG_ARRAY = 10;				// varint length + args
+	const TAG_PLAIN_OBJECT = 11;		// varint length + (name, arg) pairs
+	const TAG_MAP = 12;					// varint length + (arg, arg) pairs
+	const TAG_SET = 13;					// varint length + args
+	const TAG_VALUE = 14;				// varint index in values list of a primitive value
+	const TAG_CLONED = 15;				// varint index in values list of a whole wrapped argument
+
+	// The name table starts with the well-known symbols, which are sent in property paths as numbers.
+	const WELL_KNOWN_SYMBOL_COUNT = 13;
+
+	const initialSize = 4096;
+	const textEncoder = new TextEncoder();
+
+	Via._BinaryEncoder = class ViaBinaryEncoder
+	{
+		constructor()
+		{
+			this._buffer = new ArrayBuffer(initialSize);		// re-used for every flush
+			this._bytes = new Uint8Array(this._buffer);
+			this._view = new DataView(this._buffer);
+			this._pos = 0;										// current write position
+			this._values = [];									// values posted alongside the buffer
+			this._names = new Map();							// interned property name -> index
+
+			for (let i = 0; i < WELL_KNOWN_SYMBOL_COUNT; ++i)
+				this._names.set(i, i);
+			this.commandCount = 0;								// number of commands written since last flush
+		}
+
+		// Return a copy of the written data and the values list, and reset for the next flush.
+		Finish()
+		{
+			const ret = [this._buffer.slice(0, this._pos), this._values];
+
+			this._pos = 0;
+			this._values = [];
+			this.commandCount = 0;
+
+			return ret;
+		}
+
+		// Write a command in the array format queued by the controller.
+		WriteCommand(cmd)
+		{
+			const type = cmd[0];
+			this.commandCount++;
+
+			switch (type) {
+			case OP_CALL:
+			case OP_CONSTRUCT:
+				this._WriteByte(type);
+				this._WriteSignedVarint(cmd[1]);
+				this._WritePath(cmd[2]);
+				this._WriteArgs(cmd[3]);
+				this._WriteSignedVarint(cmd[4]);
+				break;
+			case OP_SET:
+				this._WriteByte(type);
+				this._WriteSignedVarint(cmd[1]);
+				this._WritePath(cmd[2]);
+				this._WriteArg(cmd[3]);
+				break;
+			case OP_GET:
+				this._WriteByte(type);
+				this._WriteVarint(cmd[1]);
+				this._WriteSignedVarint(cmd[2]);
+				this._WriteNullablePath(cmd[3]);
+				break;
+			default:
+				// Other commands are posted as-is in the values list.
+				this._WriteByte(OP_CLONED);
+				this._WriteVarint(this._AddValue(cmd));
+				break;
+			}
+		}
+
+		_AddValue(value)
+		{
+			this._values.push(value);
+			return this._values.length - 1;
+		}
+
+		_Reserve(byteCount)
+		{
+			const required = this._pos + byteCount;
+			if (required <= this._buffer.byteLength)
+				return;
+
+			// Grow by doubling and keep the larger buffer for later flushes
+			let newSize = this._buffer.byteLength * 2;
+			while (newSize < required)
+				newSize *= 2;
+
+			const newBytes = new Uint8Array(newSize);
+			newBytes.set(this._bytes.subarray(0, this._pos));
+
+			this._buffer = newBytes.buffer;
+			this._bytes = newBytes;
+			this._view = new DataView(this._buffer);
+		}
+
+		_WriteByte(b)
+		{
+			this._Reserve(1);
+			this._bytes[this._pos++] = b;
+		}
+
+		// Unsigned LEB128. Uses arithmetic rather than bitwise operators so it works beyond 32 bits.
+		_WriteVarint(n)
+		{
+			this._Reserve(8);
+
+			while (n >= 128)
+			{
+				this._bytes[this._pos++] = (n % 128) | 128;
+				n = Math.floor(n / 128);
+			}
+
+			this._bytes[this._pos++] = n;
+		}
+
+		// Zigzag encoding, so small negative numbers (e.g. receiver object IDs) are also small.
+		_WriteSignedVarint(n)
+		{
+			this._WriteVarint(n >= 0 ? n * 2 : -n * 2 - 1);
+		}
+
+		_WriteString(str)
+		{
+			// UTF-8 uses at most 3 bytes per UTF-16 code unit
+			const maxBytes = str.length * 3;
+			this._Reserve(maxBytes + 8);
+
+			// Write the string after the maximum space the length could take, then write the length
+			// and move the string back if the length used fewer bytes.
+			const lengthPos = this._pos;
+			const lengthBytes = VarintSize(maxBytes);
+			const written = textEncoder.encodeInto(str, this._bytes.subarray(lengthPos + lengthBytes)).written;
+
+			this._WriteVarint(written);
+
+			if (this._pos !== lengthPos + lengthBytes)
+				this._bytes.copyWithin(this._pos, lengthPos + lengthBytes, lengthPos + lengthBytes + written);
+
+			this._pos += written;
+		}
+
+		// Property names are written as 0 followed by the string the first time they are used, which
+		// assigns them the next index in the table. After that they are written as their index + 1.
+		_WriteName(name)
+		{
+			const index = this._names.get(name);
+
+			if (typeof index === "number")
+			{
+				this._WriteVarint(index + 1);
+			}
+			else
+			{
+				this._names.set(name, this._names.size);
+				this._WriteVarint(0);
+				this._WriteString(name);
+			}
+		}
+
+		_WritePath(path)
+		{
+			this._WriteVarint(path.length);
+
+			for (const name of path)
+				this._WriteName(name);
+		}
+
+		// Paths for get commands can be null; write the length + 1 so 0 can mean null.
+		_WriteNullablePath(path)
+		{
+			if (path === null)
+			{
+				this._WriteVarint(0);
+				return;
+			}
+
+			this._WriteVarint(path.length + 1);
+
+			for (const name of path)
+				this._WriteName(name);
+		}
+
+		_WriteArgs(args)
+		{
+			this._WriteVarint(args.length);
+
+			for (const arg of args)
+				this._WriteArg(arg);
+		}
+
+		// Write an argument in the wrapped format produced by the controller.
+		_WriteArg(arr)
+		{
+			switch (arr[0]) {
+			case 0:		// primitive
+				this._WritePrimitive(arr[1]);
+				break;
+			case 1:		// object
+				this._WriteByte(TAG_OBJECT);
+				this._WriteSignedVarint(arr[1]);
+				break;
+			case 2:		// callback
+				// Callbacks with options from Via.callback() are posted as-is in the values list.
+				if (arr.length > 2)
+				{
+					this._WriteByte(TAG_CLONED);
+					this._WriteVarint(this._AddValue(arr));
+					break;
+				}
+
+				this._WriteByte(TAG_CALLBACK);
+				this._WriteVarint(arr[1]);
+				break;
+			case 3:		// object property
+				this._WriteByte(TAG_PROPERTY);
+				this._WriteSignedVarint(arr[1]);
+				this._WritePath(arr[2]);
+				break;
+			case 4:		// array
+				this._WriteByte(TAG_ARRAY);
+				this._WriteArgs(arr[1]);
+				break;
+			case 5:		// plain object
+				this._WriteByte(TAG_PLAIN_OBJECT);
+				this._WriteVarint(arr[1].length);
+
+				for (const [key, valueData] of arr[1])
+				{
+					this._WriteName(key);
+					this._WriteArg(valueData);
+				}
+				break;
+			case 6:		// map
+				this._WriteByte(TAG_MAP);
+				this._WriteVarint(arr[1].length);
+
+				for (const [keyData, valueData] of arr[1])
+				{
+					this._WriteArg(keyData);
+					this._WriteArg(valueData);
+				}
+				break;
+			case 7:		// set
+				this._WriteByte(TAG_SET);
+				this._WriteArgs(arr[1]);
+				break;
+			default:
+				// Other kinds of argument are posted as-is in the values list.
+				this._WriteByte(TAG_CLONED);
+				this._WriteVarint(this._AddValue(arr));
+				break;
+			}
+		}
+
+		_WritePrimitive(value)
+		{
+			switch (typeof value) {
+			case "undefined":
+				this._WriteByte(TAG_UNDEFINED);
+				break;
+			case "boolean":
+				this._WriteByte(value ? TAG_TRUE : TAG_FALSE);
+				break;
+			case "number":
+				if (Number.isInteger(value) && Math.abs(value) <= 0xFFFFFFFF && !Object.is(value, -0))
+				{
+					this._WriteByte(TAG_INT);
+					this._WriteSignedVarint(value);
+				}
+				else
+				{
+					this._WriteByte(TAG_FLOAT);
+					this._Reserve(8);
+					this._view.setFloat64(this._pos, value);
+					this._pos += 8;
+				}
+				break;
+			case "string":
+				this._WriteByte(TAG_STRING);
+				this._WriteString(value);
+				break;
+			default:
+				if (value === null)
+				{
+					this._WriteByte(TAG_NULL);
+				}
+				else
+				{
+					// Other values such as Blobs and ArrayBuffers are structured cloned in the values list.
+					this._WriteByte(TAG_VALUE);
+					this._WriteVarint(this._AddValue(value));
+				}
+				break;
+			}
+		}
+	};
+
+	function VarintSize(n)
+	{
+		let ret = 1;
+
+		while (n >= 128)
+		{
+			n = Math.floor(n / 128);
+			ret++;
+		}
+
+		return ret;
+	}
+}
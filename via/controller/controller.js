@@ -1,262 +1,2264 @@
 "use strict";
 
 {
-	// Namespace for controller side (note the uppercase)
-	if (!self.Via)
-		self.Via = {};
+	// Namespace for controller side (note the uppercase). This uses globalThis rather than self so the controller
+	// also works outside browsers, e.g. in Node.js.
+	if (!globalThis.Via)
+		globalThis.Via = {};
 	
 	// Symbols used to look up the hidden values behind the Proxy objects.
 	Via.__TargetSymbol = Symbol();
 	Via.__ObjectSymbol = Symbol();
-
-	// A FinalizationRegistry (if supported) that can identify when objects are garbage collected to notify the
-	// receiver to also drop references. If this is not supported, it will unavoidably leak memory.
-	Via.finalizationRegistry = (typeof FinalizationRegistry === "undefined" ? null : new FinalizationRegistry(FinalizeID));
-
-	if (!Via.finalizationRegistry)
-		console.warn("[Via.js] No WeakRefs support - will leak memory");
-
-	// FinalizeID is called once per ID. To improve the efficiency when posting cleanup messages to the other
-	// side, batch together all finalized IDs that happen in an interval using a timer, and post one message
-	// at the end of that timer.
-	let finalizeTimerId = -1;
-	const finalizeIntervalMs = 10;
-	const finalizeIdQueue = [];
-
-	function FinalizeID(id)
+	Via.__ControllerSymbol = Symbol();
+	
+	// Symbols can't be posted, so well-known symbols (e.g. Symbol.toStringTag) are sent in property paths as
+	// their index in this list. The receiver has the same list. Note the order must not change.
+	const wellKnownSymbols = ["asyncIterator", "hasInstance", "isConcatSpreadable", "iterator", "match", "matchAll",
+							  "replace", "search", "species", "split", "toPrimitive", "toStringTag", "unscopables"].map(name => Symbol[name]);
+	
+	// Return the key to use in a property path for a property accessed on a Via proxy. Other symbols
+	// can't be used on the receiver, so return undefined for them.
+	Via._EncodeKey = function (property)
 	{
-		finalizeIdQueue.push(id);
-
-		if (finalizeTimerId === -1)
-			finalizeTimerId = setTimeout(CleanupIDs, finalizeIntervalMs);
+		if (typeof property !== "symbol")
+			return property;
+		
+		const index = wellKnownSymbols.indexOf(property);
+		return (index === -1 ? undefined : index);
+	};
+	
+	// Format a property path for error messages, e.g. "map.[Symbol.iterator]".
+	function FormatPath(path)
+	{
+		return path.map(key => (typeof key === "number" ? `[${wellKnownSymbols[key].description}]` : key)).join(".");
 	}
 
-	function CleanupIDs()
+	// Error representing an exception thrown on the receiver while running a command. The name, message
+	// and stack of the original error are preserved, along with details of which command failed. In debug
+	// mode the trace of the command is also passed, which has a readable path from the global object, such
+	// as "document.body.appendChild", and the stack where the command was made on the controller.
+	Via.RemoteError = class ViaRemoteError extends Error
 	{
-		finalizeTimerId = -1;
-
-		Via.postMessage({
-			"type": "cleanup",
-			"ids": finalizeIdQueue
-		});
-
-		finalizeIdQueue.length = 0;
-	}
+		constructor(data, trace)
+		{
+			const pathStr = (trace ? trace.path : (data.path ? FormatPath(data.path) : "<object>"));
+			super(`${data.name}: ${data.message} (in ${data.cmdType} command for '${pathStr}')`);
+			
+			this.name = "ViaRemoteError";
+			this.remoteName = data.name;
+			this.remoteMessage = data.message;
+			this.remoteStack = data.stack;
+			this.cmdType = data.cmdType;
+			this.cmdIndex = data.cmdIndex;
+			this.path = data.path;
+			this.commandPath = (trace ? trace.path : null);
+			this.controllerStack = (trace ? trace.stack : null);
+			
+			if (trace)
+				this.stack += "\nCommand made at:\n" + trace.stack;
+		}
+	};
 	
-	let nextObjectId = 1;							// next object ID to allocate (controller side uses positive IDs)
-	const queue = [];								// queue of messages waiting to post
-	let nextGetId = 0;								// next get request ID to allocate
-	const pendingGetResolves = new Map();			// map of get request ID -> promise resolve function
-	let nextFlushId = 0;							// next flush ID to allocate
-	const pendingFlushResolves = new Map();			// map of flush ID -> promise resolve function
-	let isPendingFlush = false;						// has set a flush to run at the next microtask
+	// Error used when the connection to the receiver is closed or lost, both to reject anything still waiting on
+	// the receiver, and for any later use of the connection until it's reconnected.
+	Via.DisconnectedError = class ViaDisconnectedError extends Error
+	{
+		constructor(message)
+		{
+			super(message);
+			
+			this.name = "ViaDisconnectedError";
+		}
+	};
 	
-	// Callback functions are assigned an ID which is passed to a call's arguments.
-	// The receiver creates a shim which forwards the callback back to the controller, where
-	// it's looked up in the map by its ID again and then the controller-side callback invoked.
-	let nextCallbackId = 0;
-	const callbackToId = new Map();
-	const idToCallback = new Map();
+	// Marker for a value to be transferred rather than copied when posted to the receiver,
+	// as returned by Via.transfer().
+	class TransferValue
+	{
+		constructor(value, transferList)
+		{
+			this.value = value;
+			this.transferList = transferList;
+		}
+	}
 	
-	// Create a default 'via' object (note the lowercase) representing the
-	// global object on the receiver side
-	self.via = Via._MakeObject(0);
+	// Return the object to transfer by default for a value. Typed arrays and DataViews transfer their
+	// underlying ArrayBuffer; anything else (e.g. ArrayBuffer, MessagePort, ImageBitmap, OffscreenCanvas)
+	// transfers itself.
+	function GetDefaultTransferable(value)
+	{
+		return (ArrayBuffer.isView(value) ? value.buffer : value);
+	}
 	
-	Via._GetNextObjectId = function ()
+	// Mark an argument to be transferred to the receiver instead of copied, e.g.
+	// audioContext.decodeAudioData(Via.transfer(arrayBuffer)). This avoids copying large buffers, and allows
+	// passing objects which can only be transferred, such as OffscreenCanvas and MessagePort. Optionally a list
+	// of objects to transfer can be passed, e.g. if the value is an object containing several buffers.
+	Via.transfer = function (value, transferList)
 	{
-		return nextObjectId++;
+		return new TransferValue(value, transferList || [GetDefaultTransferable(value)]);
 	};
 	
-	Via._AddToQueue = function (d)
+	// Marker for a callback with options for the receiver, as returned by Via.callback().
+	class CallbackValue
 	{
-		queue.push(d);
-		
-		// Automatically flush queue at next microtask
-		if (!isPendingFlush)
+		constructor(func, options)
+		{
+			this.func = func;
+			this.options = options;
+		}
+	}
+
+	// Wrap a callback with options for things the receiver must do synchronously when the callback is invoked,
+	// since by the time the callback runs on the controller, the event has already finished dispatching.
+	// Options are { preventDefault, stopPropagation, stopImmediatePropagation }, which call the corresponding
+	// methods on the callback's first argument, and { when }, an object of properties the first argument must
+	// match for those to apply, e.g. Via.callback(OnKeyDown, { preventDefault: true, when: { key: "Enter" } }).
+	// The callback is still forwarded to the controller every time. Pass { snapshot } with a list of property
+	// paths, e.g. ["clientX", "target.value"], to copy those values from the first argument when the callback is
+	// invoked, so they can be read synchronously on the controller instead of with get(). Also pass { live: false }
+	// if the callback doesn't need the real object, in which case the first argument is just a plain object with
+	// the snapshot values. Pass { async: true } to make the receiver's shim return a promise that resolves with the
+	// callback's return value (or rejects if it throws), for receiver code that needs a result from the controller.
+	// Pass the same returned value to both addEventListener and removeEventListener, since each call to
+	// Via.callback() makes a different callback.
+	Via.callback = function (func, options)
+	{
+		if (typeof func !== "function")
+			throw new TypeError("Via.callback() requires a function");
+
+		options = options || {};
+		const sendOptions = {};
+
+		for (const name of ["preventDefault", "stopPropagation", "stopImmediatePropagation"])
+		{
+			if (options[name])
+				sendOptions[name] = true;
+		}
+
+		// Conditions can only compare with values that can be posted as-is, e.g. strings and numbers.
+		if (options.when)
+		{
+			sendOptions.when = {};
+
+			for (const [key, value] of Object.entries(options.when))
+			{
+				if (value !== null && typeof value === "object" || typeof value === "function")
+					throw new TypeError(`Via.callback() 'when' condition '${key}' must be a primitive value`);
+
+				sendOptions.when[key] = value;
+			}
+		}
+
+		if (options.snapshot)
 		{
-			isPendingFlush = true;
-			Promise.resolve().then(Via.Flush);
+			if (!Array.isArray(options.snapshot) || !options.snapshot.every(path => typeof path === "string" && path))
+				throw new TypeError("Via.callback() 'snapshot' must be an array of property paths");
+
+			sendOptions.snapshot = options.snapshot.slice(0);
+
+			if (options.live === false)
+				sendOptions.live = false;
 		}
+
+		if (options.async)
+			sendOptions.async = true;
+
+		return new CallbackValue(func, sendOptions);
 	};
+
+	// Convert a thrown value to a plain object that can be posted to the receiver, in the same way
+	// the receiver does for errors sent to the controller.
+	function SerializeError(err)
+	{
+		if (err instanceof Error)
+		{
+			return {
+				"name": err.name,
+				"message": err.message,
+				"stack": err.stack || ""
+			};
+		}
+		else
+		{
+			return {
+				"name": "Error",
+				"message": String(err),
+				"stack": ""
+			};
+		}
+	}
+
+	// Blob and ImageData don't exist outside browsers (e.g. in Node.js), so only check for them if they do.
+	const BlobType = (typeof Blob === "function" ? Blob : null);
+	const ImageDataType = (typeof ImageData === "function" ? ImageData : null);
+	
+	function CanStructuredClone(o)
+	{
+		const type = typeof o;
+		return type === "undefined" || o === null || type === "boolean" || type === "number" || type === "string" ||
+				(o instanceof ArrayBuffer) || ArrayBuffer.isView(o) ||
+				(BlobType !== null && o instanceof BlobType) || (ImageDataType !== null && o instanceof ImageDataType);
+	}
+	
+	// Describe the type of a value for error messages, e.g. "a Promise" or "a symbol".
+	function DescribeValueType(value)
+	{
+		if (typeof value !== "object")
+			return "a " + typeof value;
+		
+		const proto = Object.getPrototypeOf(value);
+		const name = (proto && typeof proto.constructor === "function" ? proto.constructor.name : "");
+		return (name ? "a " + name : "an object");
+	}
 	
-	// Post the queue to the receiver. Returns a promise which resolves when the receiver
-	// has finished executing all the commands.
-	Via.Flush = function ()
+	// Estimate the size in bytes of a posted message for debug statistics. This is only approximate, since the
+	// real size depends on how the browser serializes it: strings count one byte per character.
+	function EstimateSize(value)
 	{
-		isPendingFlush = false;
+		switch (typeof value) {
+		case "string":
+			return value.length;
+		case "number":
+			return 8;
+		case "object":
+			break;
+		default:
+			return 1;
+		}
 		
-		if (!queue.length)
-			return Promise.resolve();
+		if (value === null)
+			return 1;
 		
-		const flushId = nextFlushId++;
+		if (value instanceof ArrayBuffer || ArrayBuffer.isView(value))
+			return value.byteLength;
 		
-		Via.postMessage({
-			"type": "cmds",
-			"cmds": queue,
-			"flushId": flushId
-		});
+		if (Array.isArray(value))
+			return value.reduce((total, item) => total + EstimateSize(item), 0);
 		
-		queue.length = 0;
+		let ret = 0;
 		
-		return new Promise(resolve =>
-		{
-			pendingFlushResolves.set(flushId, resolve);
-		});
-	};
+		for (const key of Object.keys(value))
+			ret += key.length + EstimateSize(value[key]);
+		
+		return ret;
+	}
 	
-	// Called when a message received from the receiver
-	Via.OnMessage = function (data)
+	// Plain objects are those made with object literals (or Object.create(null)), as opposed to class instances.
+	function IsPlainObject(o)
 	{
-		switch (data.type) {
-		case "done":
-			OnDone(data);
-			break;
-		case "callback":
-			OnCallback(data);
-			break;
-		default:
-			throw new Error("invalid message type: " + data.type);
-		}
-	};
+		const proto = Object.getPrototypeOf(o);
+		return proto === Object.prototype || proto === null;
+	}
 
-	// Called when the receiver has finished a batch of commands passed by a flush.
-	function OnDone(data)
+	// Return the controller, object ID and property path a Via proxy represents, or null if it's not a Via proxy.
+	function GetProxyTarget(proxy)
 	{
-		// Resolve any pending get requests with the values retrieved from the receiver.
-		for (const [getId, valueData] of data.getResults)
+		if (typeof proxy === "function")
 		{
-			const resolve = pendingGetResolves.get(getId);
-			if (!resolve)
-				throw new Error("invalid get id");
+			// Identify Via object proxy by testing if its object symbol returns a number
+			const objectId = proxy[Via.__ObjectSymbol];
+			if (typeof objectId === "number")
+				return [proxy[Via.__ControllerSymbol], objectId, null];		// null path will return object itself (e.g. in case it's a primitive)
 			
-			pendingGetResolves.delete(getId);
-			resolve(Via._UnwrapArg(valueData));
+			// Identify Via property proxy by testing if its target symbol returns anything
+			const target = proxy[Via.__TargetSymbol];
+			if (target)
+				return [target._controller, target._objectId, target._path];
 		}
 		
-		// Resolve the promise returned by the original Flush() call.
-		const flushId = data.flushId;
-		const flushResolve = pendingFlushResolves.get(flushId);
-		if (!flushResolve)
-			throw new Error("invalid flush id");
-		
-		pendingFlushResolves.delete(flushId);
-		flushResolve();
+		return null;
 	}
+
+	// Helpers for operators that can't be run on placeholders, since they are answered synchronously on the
+	// controller. Each returns a promise that resolves with the result from the receiver, in the same way as get().
+	// They work with placeholders from any controller. If a value isn't a placeholder, the result is found locally.
 	
-	// Called when a callback is invoked on the receiver and this was forwarded to the controller.
-	function OnCallback(data)
+	// Check if an object has a property, e.g. await Via.has(via.navigator, "serviceWorker") instead of the 'in' operator.
+	Via.has = function (proxy, key)
 	{
-		const func = idToCallback.get(data.id);
-		if (!func)
-			throw new Error("invalid callback id");
+		const target = GetProxyTarget(proxy);
+		if (!target)
+			return Promise.resolve(key in proxy);
 		
-		const args = data.args.map(Via._UnwrapArg);
-		func(...args);
-	}
+		// Encode the key the same way as a property path. Other keys are converted to strings as 'in' does, so
+		// numbers aren't mistaken for encoded symbols.
+		const encodedKey = Via._EncodeKey(typeof key === "symbol" ? key : String(key));
+		if (typeof encodedKey === "undefined")
+			return Promise.reject(new TypeError(`cannot use ${String(key)} with Via.has(), since it can't be sent to the receiver`));
+		
+		return target[0]._Query(5 /* has */, target, encodedKey);
+	};
 	
-	function GetCallbackId(func)
+	// Get an array of an object's own enumerable property names, e.g. await Via.keys(via.localStorage),
+	// instead of Object.keys().
+	Via.keys = function (proxy)
 	{
-		// Lazy-create IDs
-		let id = callbackToId.get(func);
+		const target = GetProxyTarget(proxy);
+		if (!target)
+			return Promise.resolve(Object.keys(proxy));
 		
-		if (typeof id === "undefined")
+		return target[0]._Query(6 /* keys */, target);
+	};
+	
+	// Get the type of a value, e.g. await Via.typeOf(via.OffscreenCanvas), instead of the 'typeof' operator,
+	// which always returns "function" for placeholders.
+	Via.typeOf = function (proxy)
+	{
+		const target = GetProxyTarget(proxy);
+		if (!target)
+			return Promise.resolve(typeof proxy);
+		
+		return target[0]._Query(7 /* typeof */, target);
+	};
+	
+	// Check if an object is an instance of a class, e.g. await Via.isInstance(e.target, via.HTMLInputElement),
+	// instead of the 'instanceof' operator. Local values are never instances of classes on the receiver, and
+	// vice versa.
+	Via.isInstance = function (proxy, constructor)
+	{
+		const target = GetProxyTarget(proxy);
+		const isRemoteConstructor = !!GetProxyTarget(constructor);
+		
+		if (!target)
+			return Promise.resolve(isRemoteConstructor ? false : proxy instanceof constructor);
+		
+		if (!isRemoteConstructor)
+			return Promise.resolve(false);
+		
+		const controller = target[0];
+		return controller._Query(8 /* instanceof */, target, controller._WrapArg(constructor));
+	};
+
+	// Release a placeholder, so the receiver can drop its reference to the real object straight away instead of
+	// waiting for the placeholder to be garbage collected. This is useful for large objects, and is the only way
+	// to avoid leaking memory where FinalizationRegistry isn't supported. The placeholder can't be used afterwards.
+	// Placeholders also support Symbol.dispose, so 'using el = via.document.createElement("div")' releases 'el' at
+	// the end of the block. Only objects returned from calls (and passed to callbacks) have their own ID, so
+	// releasing a property such as via.document.body, or a value that isn't a placeholder, does nothing.
+	Via.release = function (proxy)
+	{
+		if (typeof proxy === "function" && typeof proxy[Via.__ObjectSymbol] === "number")
+			proxy[Via.__ControllerSymbol]._Release(proxy);
+	};
+	
+	// A scope from Via.scope(), which is passed to the scope's function. Placeholders created through scope.via,
+	// or through placeholders it returns, belong to the scope and are released when it ends. Other code running
+	// at the same time isn't affected, since only placeholders created through the scope are tracked.
+	class ViaScope
+	{
+		constructor(controller)
 		{
-			id = nextCallbackId++;
-			callbackToId.set(func, id);
-			idToCallback.set(id, func);
+			this._objects = [];
+			this._isEnded = false;
+			
+			// A 'via' object for the global object on the receiver side, like controller.via.
+			this.via = Via._MakeObject(controller, 0, null, this);
+		}
+		
+		// Add another placeholder to the scope, so it is released when the scope ends too. Returns the placeholder.
+		track(proxy)
+		{
+			if (this._isEnded)
+				Via.release(proxy);
+			else
+				this._objects.push(proxy);
+			
+			return proxy;
+		}
+		
+		// Add a Via object created through the scope. Once the scope has ended, objects aren't tracked any more.
+		_Add(obj)
+		{
+			if (!this._isEnded)
+				this._objects.push(obj);
 		}
 		
-		return id;
+		_End()
+		{
+			this._isEnded = true;
+			
+			for (const obj of this._objects.splice(0))
+				Via.release(obj);
+		}
 	}
 	
-	function CanStructuredClone(o)
+	// Check if two values are the same, e.g. await Via.isSame(e.target, button). Via objects for the same object
+	// ID can be compared with ===, but this also works when either is a property, e.g. via.document.activeElement,
+	// since it compares the real values on the receiver.
+	Via.isSame = function (a, b)
 	{
-		const type = typeof o;
-		return type === "undefined" || o === null || type === "boolean" || type === "number" || type === "string" ||
-				(o instanceof Blob) || (o instanceof ArrayBuffer) || (o instanceof ImageData);
-	}
+		const targetA = GetProxyTarget(a);
+		const targetB = GetProxyTarget(b);
+		
+		if (!targetA || !targetB)
+			return Promise.resolve(!targetA && !targetB && Object.is(a, b));
+		
+		// Placeholders from different controllers are for objects in different contexts.
+		const controller = targetA[0];
+		if (controller !== targetB[0])
+			return Promise.resolve(false);
+		
+		return controller._Query(11 /* same */, targetA, controller._WrapArg(b));
+	};
+	
+	// Iterate a remote object, e.g. for await (const li of Via.iterate(via.document.querySelectorAll("li"))).
+	// This returns an async iterator, which pulls items from the receiver in batches to reduce the number of
+	// round-trips. The items are primitive values or placeholders. This works with any iterable or async iterable
+	// object on the receiver, such as arrays, NodeLists, Maps and ReadableStreams. Pass { batch } to set the
+	// maximum number of items to pull at once, which defaults to 100. Note using for-await-of directly with a
+	// placeholder also uses this.
+	Via.iterate = function (proxy, options)
+	{
+		const target = GetProxyTarget(proxy);
+		if (!target)
+			throw new TypeError("Via.iterate() requires a Via placeholder");
+		
+		const batchSize = (options && options.batch) || 100;
+		if (!Number.isInteger(batchSize) || batchSize < 1)
+			throw new RangeError("Via.iterate() batch size must be a positive integer");
+		
+		return target[0]._Iterate(target, batchSize);
+	};
 
-	// Wrap an argument to a small array representing the value, object, property or callback for
-	// posting to the receiver.
-	Via._WrapArg = function(arg)
+	// Create a controller, which has its own 'via' object representing the global object on a receiver, its own
+	// queue of commands, IDs and so on. This allows using several independent Via connections, e.g. a page that
+	// controls two workers. The returned controller has the same API as the Via namespace (e.g. Flush(),
+	// OnMessage(), getSync()) plus its own 'via' and 'get' in place of the globals. Pass { postMessage } to set
+	// the function used to post messages to the receiver, or assign controller.postMessage later. Optionally
+	// pass { onDisconnect } to be called when the connection is closed or lost (or assign controller.onDisconnect
+	// later), { codec } to use with setCodec(), { debug: true } to turn on debug mode (see setDebug()), and the
+	// options for setConnectionOptions() and setFlushOptions().
+	Via.createController = function (options)
 	{
-		// The Proxy objects used for objects and properties identify as functions.
-		// Use the special accessor symbols to see what they really are. If they're not a Proxy
-		// that Via knows about, assume it is a callback function instead.
-		if (typeof arg === "function")
+		return CreateController(options || {});
+	};
+	
+	function CreateController(options)
+	{
+		const controller = {
+			postMessage: options.postMessage || null,
+			onDisconnect: options.onDisconnect || null
+		};
+		
+		// A FinalizationRegistry (if supported) that can identify when objects are garbage collected to notify the
+		// receiver to also drop references. If this is not supported, it will unavoidably leak memory.
+		const finalizationRegistry = (typeof FinalizationRegistry === "undefined" ? null : new FinalizationRegistry(FinalizeID));
+		
+		// The same Via object is returned for the same object ID for as long as it is still alive, so placeholders
+		// for the same object can be compared with ===. The receiver also re-uses the same ID when it sends the same
+		// object again. Each entry counts how many times its ID was received, including when it was created. When the
+		// object is collected that count is posted back in the cleanup message, and once the receiver has seen all the
+		// times it sent the ID accounted for, it can drop the ID. This is the same approach used for callbacks, and
+		// means IDs that are still in flight from the receiver aren't dropped.
+		const objectEntries = new Map();				// map of object ID -> { id, ref, useCount, isReleased }
+		const objectToEntry = new WeakMap();			// map of Via object -> its entry, including objects with snapshots
+		const releasedIds = new Set();					// IDs of objects released with Via.release()
+
+		// FinalizeID is called once per Via object. To improve the efficiency when posting cleanup messages to the other
+		// side, batch together all finalized IDs that happen in an interval using a timer, and post one message
+		// at the end of that timer.
+		let finalizeTimerId = -1;
+		const finalizeIntervalMs = 10;
+		const finalizeIdQueue = [];						// list of [object ID, use count]
+
+		function FinalizeID(entry)
 		{
-			// Identify Via object proxy by testing if its object symbol returns a number
-			const objectId = arg[Via.__ObjectSymbol];
-			if (typeof objectId === "number")
+			const id = entry.id;
+			
+			// IDs from a closed connection don't need cleaning up, since the receiver has already dropped them.
+			if (closeError || IsStaleId(id))
+				return;
+			
+			// Objects released with Via.release() have already been cleaned up. Stop treating the ID as released
+			// once none of its Via objects are left, unless the receiver has since sent it again.
+			if (entry.isReleased)
 			{
-				return [1 /* object */, objectId];
+				if (!objectEntries.has(id))
+				{
+					releasedIds.delete(id);
+					releaseStacks.delete(id);
+					debugNames.delete(id);
+				}
+				
+				return;
 			}
 			
-			// Identify Via property proxy by testing if its target symbol returns anything
-			const propertyTarget = arg[Via.__TargetSymbol];
+			// A new Via object may already have been created for the same ID if the old one was collected
+			// before this finalizer ran. Only remove the map entry if it's still the collected one.
+			if (objectEntries.get(id) === entry)
+			{
+				objectEntries.delete(id);
+				debugNames.delete(id);
+			}
+			
+			poisonedIds.delete(id);
+			QueueCleanup(id, entry.useCount);
+		}
+		
+		function QueueCleanup(id, useCount)
+		{
+			if (closeError)
+				return;
+			
+			finalizeIdQueue.push([id, useCount]);
+
+			if (finalizeTimerId === -1)
+				finalizeTimerId = setTimeout(CleanupIDs, finalizeIntervalMs);
+		}
+
+		function CleanupIDs()
+		{
+			finalizeTimerId = -1;
+
+			PostMessage({
+				"type": "cleanup",
+				"ids": finalizeIdQueue
+			});
+
+			finalizeIdQueue.length = 0;
+		}
+		
+		let nextObjectId = 1;							// next object ID to allocate (controller side uses positive IDs)
+		let queue = [];									// queue of commands waiting to post
+		let binaryEncoder = null;						// if using binary encoding, commands are written here instead of queue
+		let sessionBinaryEncoder = null;				// binary encoder for the session, kept while using array encoding
+		let sharedChannel = null;						// ViaSharedChannel if using shared memory
+		const transferSet = new Set();					// set of objects to transfer with the queue
+		let nextGetId = 0;								// next get request ID to allocate
+		let nextFlushGetId = 0;							// first get request ID not yet posted in a flush
+		const pendingGetResolves = new Map();			// map of get request ID -> { resolve, reject } for promise
+		let nextFlushId = 0;							// next flush ID to allocate
+		const pendingFlushResolves = new Map();			// map of flush ID -> { resolve, reject } for promise
+		let isPendingFlush = false;						// has set a flush to run at the next microtask
+		let lastFlushPromise = null;					// promise for the most recent flush, while any are pending
+		
+		// Limits to stop large amounts of commands overwhelming the receiver (see setFlushOptions()). Flushed commands
+		// wait in the outbox until there are few enough flushes in flight, i.e. waiting for the receiver to be done.
+		let maxCommandsPerMessage = 0;					// if set, flush automatically after this many commands
+		let maxInFlightFlushes = 0;						// if set, maximum number of flushes posted but not yet done
+		const outbox = [];								// list of [message, transfer list, flush ID] waiting to post
+		let inFlightCount = 0;							// number of flushes posted but not yet done
+		const splitFlushes = [];						// promises for messages split off the queue since the last Flush()
+		let isInFrame = false;							// running a Via.frame() callback
+		const poisonedIds = new Map();					// map of object ID -> error for IDs whose creating command failed
+		
+		// When the connection is closed or lost, everything still waiting on the receiver is rejected with a
+		// Via.DisconnectedError, and so is any later use of the connection until reconnect() is called. Each
+		// connection is a separate session, and anything with an ID from an earlier session can't be used again.
+		// IDs keep counting across sessions, so these are controller IDs below sessionStartId, receiver IDs above
+		// receiverIdStart, and flush and callback IDs below the first ones used in the session.
+		let closeError = null;							// Via.DisconnectedError if the connection is closed
+		let sessionStartId = 1;							// first controller object ID of the current session
+		let receiverIdStart = -1;						// first receiver object ID of the current session
+		let lowestReceiverId = 0;						// lowest receiver object ID received in any session
+		let sessionStartFlushId = 0;					// first flush ID of the current session
+		let sessionStartCallbackId = 0;					// first callback ID of the current session
+		let ackTimeoutMs = 0;							// if set, time to wait for a flush to be done before disconnecting
+		let heartbeatIntervalMs = 0;					// if set, interval to check the receiver is still responding
+		let heartbeatTimerId = -1;
+		let isAwaitingPong = false;						// sent a heartbeat ping and no pong has come back yet
+		let postMessageBeforeShared = null;				// the postMessage function wrapped when using shared memory
+		let codec = null;								// if set, encodes messages to post and decodes those received
+		
+		// Debug mode (see setDebug()) records a trace for every command, with a readable path and the stack where it
+		// was made, to attach to the error if it fails on the receiver. Traces are kept in the same order as the queue
+		// and move to the pending flush when it's posted, so the command index in an error finds its trace.
+		let isDebug = false;
+		let debugTraces = [];							// list of { path, stack } for each queued command
+		const debugNames = new Map();					// map of object ID -> readable description for paths
+		const releaseStacks = new Map();				// map of object ID -> stack where it was released
+		let nextStatsRequestId = 0;
+		const pendingStatsResolves = new Map();			// map of stats request ID -> { resolve, reject }
+		const stats = {									// counters while debug mode is on
+			startTime: 0,
+			messagesPosted: 0,
+			messagesReceived: 0,
+			bytesPosted: 0,
+			flushes: 0,
+			commandsPosted: 0
+		};
+		
+		// Callback functions are assigned an ID which is passed to a call's arguments.
+		// The receiver creates a shim which forwards the callback back to the controller, where
+		// it's looked up in the map by its ID again and then the controller-side callback invoked.
+		// Each entry counts how many times its ID has been sent to the receiver. When the receiver's
+		// shim is garbage collected it posts back how many times it received the ID, and once all uses
+		// are accounted for, the callback is dropped from both maps. Sends are only counted once the
+		// command using the ID is queued, since wrapping a later argument can still fail, and callbacks
+		// that were given an ID but never sent are dropped again.
+		let nextCallbackId = 0;
+		const callbackToId = new Map();					// map of function or CallbackValue -> callback ID
+		const idToCallback = new Map();					// map of callback ID -> { key, func, sendCount }
+		const unsentCallbackIds = [];					// IDs created since the last command was queued
+		
+		// Get the Via object for an object ID, either when allocating a new ID or receiving one from the receiver.
+		// New objects created through a scope from Via.scope() belong to that scope.
+		function GetObject(id, scope)
+		{
+			let entry = objectEntries.get(id);
+			let ret = (entry ? entry.ref.deref() : undefined);
 			
-			if (propertyTarget)
+			if (ret)
 			{
-				return [3 /* object property */, propertyTarget._objectId, propertyTarget._path];
+				entry.useCount++;
+				return ret;
 			}
 			
-			// Neither symbol applied; assume an ordinary callback function
-			return [2 /* callback */, GetCallbackId(arg)];
+			ret = Via._MakeObject(controller, id, null, scope);
+			objectEntries.set(id, RegisterObject(ret, id));
+			releasedIds.delete(id);
+			releaseStacks.delete(id);
+			
+			if (scope)
+				scope._Add(ret);
+			
+			return ret;
 		}
-		// Pass basic types that can be transferred via postMessage as-is.
-		else if (CanStructuredClone(arg))
+		
+		// When supported, register a Via object in the finalization registry. This allows GC of the Proxy object
+		// to notify the receiver side that its ID can be dropped, ensuring the real object can be collected
+		// as well. If this is not supported it will leak memory unless it's released with Via.release(), and
+		// Via objects are held strongly until then.
+		function RegisterObject(obj, id)
 		{
-			return [0 /* primitive */, arg];
+			const entry = { id, ref: null, useCount: 1, isReleased: false };
+			
+			if (finalizationRegistry)
+			{
+				entry.ref = new WeakRef(obj);
+				finalizationRegistry.register(obj, entry);
+			}
+			else
+			{
+				entry.ref = { deref: () => obj };
+			}
+			
+			objectToEntry.set(obj, entry);
+			
+			if (id < lowestReceiverId)
+				lowestReceiverId = id;
+			
+			return entry;
 		}
-		else
-			throw new Error("invalid argument");
-	}
-	
-	// Unwrap an argument for a callback sent by the receiver.
-	Via._UnwrapArg = function (arr)
-	{
-		switch (arr[0])	{
-		case 0:		// primitive
-			return arr[1];
-		case 1:		// object
-			return Via._MakeObject(arr[1]);
-		default:
-			throw new Error("invalid arg type");
+		
+		// Release a Via object so the receiver can drop its object ID straight away, rather than waiting for
+		// the Via object to be garbage collected. Using it afterwards throws an error. The global object can't
+		// be released, and releasing the same object again does nothing.
+		function Release(obj)
+		{
+			const entry = objectToEntry.get(obj);
+			if (!entry || entry.isReleased || entry.id === 0 || IsStaleId(entry.id))
+				return;
+			
+			const id = entry.id;
+			entry.isReleased = true;
+			
+			if (objectEntries.get(id) === entry)
+				objectEntries.delete(id);
+			
+			releasedIds.add(id);
+			poisonedIds.delete(id);
+			QueueCleanup(id, entry.useCount);
+			
+			if (isDebug)
+				releaseStacks.set(id, GetStack());
 		}
-	}
-	
-	// Add a command to the queue representing a get request.
-	function AddGet(objectId, path)
-	{
-		const getId = nextGetId++;
 		
-		Via._AddToQueue([2 /* get */, getId, objectId, path]);
+		// Return the error message for using a released object ID, which in debug mode says where it was released.
+		function GetReleasedMessage(id)
+		{
+			const stack = releaseStacks.get(id);
+			return `cannot use object id ${id} because it was released` + (stack ? "\nReleased at:\n" + stack : "");
+		}
 		
-		return new Promise(resolve =>
+		function GetNextObjectId()
 		{
-			pendingGetResolves.set(getId, resolve);
-		});
-	};
-
-	// Return a promise that resolves with the real value of a property, e.g. get(via.document.title).
-	// This involves a message round-trip, but multiple gets can be requested in parallel, and they will
-	// all be processed in the same round-trip.
-	self.get = function (proxy)
-	{
-		if (typeof proxy === "function")
+			return nextObjectId++;
+		}
+		
+		function AddToQueue(d)
 		{
-			// Identify Via object proxy by testing if its object symbol returns a number
-			const objectId = proxy[Via.__ObjectSymbol];
-			if (typeof objectId === "number")
-				return AddGet(objectId, null);		// null path will return object itself (e.g. in case it's a primitive)
+			CheckConnection();
+			AddCallbackSends(d);
 			
-			// Identify Via property proxy by testing if its target symbol returns anything
-			const target = proxy[Via.__TargetSymbol];
-			if (target)
-				return AddGet(target._objectId, target._path);
+			if (isDebug)
+				debugTraces.push(MakeTrace(d));
+			
+			let commandCount;
+			
+			if (binaryEncoder)
+			{
+				binaryEncoder.WriteCommand(d);
+				commandCount = binaryEncoder.commandCount;
+			}
+			else
+			{
+				queue.push(d);
+				commandCount = queue.length;
+			}
+			
+			// Automatically flush queue at next microtask
+			if (!isPendingFlush)
+			{
+				isPendingFlush = true;
+				Promise.resolve().then(AutoFlush);
+			}
+			
+			// Split very long queues over several messages. Anything left is still flushed at the next microtask, and
+			// that flush also reports any failed commands in the messages split off before it.
+			if (maxCommandsPerMessage > 0 && commandCount >= maxCommandsPerMessage && !isInFrame)
+			{
+				const promise = PostQueue(false);
+				promise.catch(() => {});		// reported by the next flush instead
+				splitFlushes.push(promise);
+			}
 		}
+		
+		// Count a send of each callback ID in a command's arguments, now that it's being queued.
+		function AddCallbackSends(cmd)
+		{
+			switch (cmd[0]) {
+			case 0:		// call
+			case 3:		// construct
+				for (const argData of cmd[3])
+					AddCallbackSendsForArg(argData);
+				break;
+			case 1:		// set
+				AddCallbackSendsForArg(cmd[3]);
+				break;
+			case 8:		// instanceof
+			case 11:	// same
+				AddCallbackSendsForArg(cmd[4]);
+				break;
+			}
 			
-		// If the passed object isn't recognized as a Via object, just return it wrapped in a promise.
-		return Promise.resolve(proxy);
-	}
+			DropUnsentCallbacks();
+		}
+		
+		function AddCallbackSendsForArg(arr)
+		{
+			switch (arr[0]) {
+			case 2:		// callback
+				idToCallback.get(arr[1]).sendCount++;
+				break;
+			case 4:		// array
+			case 7:		// set
+				for (const item of arr[1])
+					AddCallbackSendsForArg(item);
+				break;
+			case 5:		// plain object
+				for (const entry of arr[1])
+					AddCallbackSendsForArg(entry[1]);
+				break;
+			case 6:		// map
+				for (const [k, v] of arr[1])
+				{
+					AddCallbackSendsForArg(k);
+					AddCallbackSendsForArg(v);
+				}
+				break;
+			}
+		}
+		
+		// Drop callbacks which were given an ID but never sent, e.g. because wrapping a later argument failed,
+		// or a query was rejected before its command was queued.
+		function DropUnsentCallbacks()
+		{
+			for (const id of unsentCallbackIds)
+			{
+				const entry = idToCallback.get(id);
+				if (entry && entry.sendCount === 0)
+				{
+					idToCallback.delete(id);
+					callbackToId.delete(entry.key);
+				}
+			}
+			
+			unsentCallbackIds.length = 0;
+		}
+		
+		// Make the debug trace for a command, with a readable path such as "document.body.appendChild" and the stack
+		// where it was made. Objects the command creates are also given a description, so later commands using them
+		// have readable paths too, e.g. "document.createElement().textContent".
+		function MakeTrace(cmd)
+		{
+			const type = cmd[0];
+			let path;
+			
+			switch (type) {
+			case 0:		// call
+			case 3:		// construct
+				path = DescribePath(cmd[1], cmd[2]);
+				debugNames.set(cmd[4], (type === 3 ? "new " : "") + path + "()");
+				break;
+			case 9:		// iterator
+				path = DescribePath(cmd[1], cmd[2]);
+				debugNames.set(cmd[3], path + " iterator");
+				break;
+			case 12:	// remote
+				path = `Via.remote("${cmd[1]}")`;
+				debugNames.set(cmd[2], path);
+				break;
+			case 1:		// set
+			case 4:		// delete
+				path = DescribePath(cmd[1], cmd[2]);
+				break;
+			default:	// get and queries: [type, getId, objectId, path, ...]
+				path = DescribePath(cmd[2], cmd[3]);
+				break;
+			}
+			
+			return { path, stack: GetStack() };
+		}
+		
+		// Describe a path on an object, starting from the global object where possible.
+		function DescribePath(objectId, path)
+		{
+			const base = (objectId === 0 ? "" : (debugNames.get(objectId) || `<object ${objectId}>`));
+			const pathStr = (path && path.length ? FormatPath(path) : "");
+			
+			if (base && pathStr)
+				return base + "." + pathStr;
+			
+			return base || pathStr || "<global>";
+		}
+		
+		// Get the current stack, without the first line (which is just "Error").
+		function GetStack()
+		{
+			const stack = new Error().stack || "";
+			return stack.slice(stack.indexOf("\n") + 1);
+		}
+		
+		// Nothing holds on to the promise returned by an automatic flush, so report any failed
+		// commands to the console, in the same way as an uncaught exception.
+		function AutoFlush()
+		{
+			// Anything queued was already discarded if the connection was closed.
+			if (closeError)
+			{
+				isPendingFlush = false;
+				return;
+			}
+			
+			Flush().catch(ReportFlushError);
+		}
+		
+		// Losing the connection isn't reported here, since that's what onDisconnect is for.
+		function ReportFlushError(err)
+		{
+			if (!(err instanceof Via.DisconnectedError))
+				console.error("[Via.js] Command failed on receiver: ", err);
+		}
+		
+		// Placeholders can only be used with the controller they came from, since the IDs refer to objects
+		// on that controller's receiver.
+		function CheckController(c)
+		{
+			if (c !== controller)
+				throw new Error("cannot use a placeholder from a different Via controller");
+		}
+		
+		// Throw if the connection is closed.
+		function CheckConnection()
+		{
+			if (closeError)
+				throw new Via.DisconnectedError(closeError.message);
+		}
+		
+		// Check if an object ID is from an earlier session, before the last reconnect(). The global object
+		// (ID 0) is the same in every session.
+		function IsStaleId(id)
+		{
+			return (id > 0 ? id < sessionStartId : id < 0 && id > receiverIdStart);
+		}
+		
+		// Throw if an object ID is poisoned, i.e. the command that was meant to create its object failed on the
+		// receiver. This gives a clearer error than the receiver would, since it no longer has an object for the ID.
+		// Also throw if the connection is closed, or the ID is from an earlier connection.
+		function CheckObjectId(id)
+		{
+			CheckConnection();
+			
+			if (IsStaleId(id))
+				throw new Via.DisconnectedError(`cannot use object id ${id} because it is from a previous connection`);
+			
+			if (releasedIds.size > 0 && releasedIds.has(id))
+				throw new Error(GetReleasedMessage(id));
+			
+			if (poisonedIds.size === 0)
+				return;
+			
+			const err = poisonedIds.get(id);
+			if (err)
+				throw new Error(`cannot use object id ${id} because the command that created it failed: ${err.message}`);
+		}
+		
+		// Post the queue to the receiver. Returns a promise which resolves when the receiver
+		// has finished executing all the commands. If any of the commands failed it rejects with
+		// a Via.RemoteError instead, except for failed get commands, which reject their own promise.
+		function Flush()
+		{
+			isPendingFlush = false;
+			const promise = PostQueue(false);
+			
+			if (!splitFlushes.length)
+				return promise;
+			
+			// Commands that were already posted because the queue was split over several messages belong to this
+			// flush too, so wait for them all, and reject with the first error from any of them.
+			const promises = splitFlushes.splice(0);
+			promises.push(promise);
+			return WaitForFlushes(promises);
+		}
+		
+		async function WaitForFlushes(promises)
+		{
+			let firstError = null;
+			
+			for (const promise of promises)
+			{
+				try
+				{
+					await promise;
+				}
+				catch (err)
+				{
+					if (!firstError)
+						firstError = err;
+				}
+			}
+			
+			if (firstError)
+				throw firstError;
+		}
+		
+		// Post the queued commands, marking them to run in an animation frame if isFrame is true.
+		function PostQueue(isFrame)
+		{
+			if (closeError)
+				return Promise.reject(new Via.DisconnectedError(closeError.message));
+			
+			// If nothing is queued, there may still be earlier commands the receiver hasn't finished yet, e.g. if a long
+			// queue was split over several messages. Wait for the last of them, but leave reporting errors to its flush.
+			if (!queue.length && !(binaryEncoder && binaryEncoder.commandCount))
+			{
+				if (pendingFlushResolves.size === 0)
+					return Promise.resolve();
+				
+				return lastFlushPromise.then(() => {}, () => {});
+			}
+			
+			const flushId = nextFlushId++;
+			let message;
+			
+			if (isDebug)
+			{
+				stats.flushes++;
+				stats.commandsPosted += (binaryEncoder ? binaryEncoder.commandCount : queue.length);
+			}
+			
+			if (binaryEncoder)
+			{
+				const [buffer, values] = binaryEncoder.Finish();
+				transferSet.add(buffer);
+				
+				message = {
+					"type": "cmds",
+					"binary": buffer,
+					"values": values,
+					"flushId": flushId
+				};
+			}
+			else
+			{
+				message = {
+					"type": "cmds",
+					"cmds": queue,
+					"flushId": flushId
+				};
+				
+				queue = [];
+			}
+			
+			if (isFrame)
+				message["frame"] = true;
+			
+			outbox.push([message, Array.from(transferSet), flushId]);
+			transferSet.clear();
+			
+			// The debug traces for the queued commands go with the flush, to find them when it's done, along with
+			// the range of get request IDs in it.
+			const traces = debugTraces;
+			debugTraces = [];
+			const firstGetId = nextFlushGetId;
+			nextFlushGetId = nextGetId;
+			
+			lastFlushPromise = new Promise((resolve, reject) =>
+			{
+				pendingFlushResolves.set(flushId, { resolve, reject, timerId: -1, traces, firstGetId, endGetId: nextGetId });
+			});
+			
+			PostOutbox();
+			
+			return lastFlushPromise;
+		}
+		
+		// Post flushed commands to the receiver, unless the limit of flushes in flight has been reached, in which case
+		// they wait until the receiver is done with an earlier flush. Pass true to post them all regardless.
+		function PostOutbox(isForced)
+		{
+			while (outbox.length && (isForced || maxInFlightFlushes === 0 || inFlightCount < maxInFlightFlushes))
+			{
+				const [message, transferList, flushId] = outbox.shift();
+				inFlightCount++;
+				
+				try
+				{
+					PostMessage(message, transferList);
+				}
+				catch (err)
+				{
+					// The receiver never gets a message that couldn't be posted, e.g. if it couldn't be cloned, so fail
+					// its flush and any gets in it here rather than waiting for a reply that won't come.
+					inFlightCount--;
+					FailFlush(flushId, err);
+					continue;
+				}
+				
+				// If using an ack timeout, disconnect if the receiver doesn't finish the commands in time.
+				if (ackTimeoutMs > 0)
+					pendingFlushResolves.get(flushId).timerId = setTimeout(OnAckTimeout, ackTimeoutMs);
+			}
+		}
+		
+		// Reject a flush's promise, and the promises for any gets in it, when it couldn't be posted to the receiver.
+		function FailFlush(flushId, err)
+		{
+			const pendingFlush = pendingFlushResolves.get(flushId);
+			pendingFlushResolves.delete(flushId);
+			
+			for (let getId = pendingFlush.firstGetId; getId < pendingFlush.endGetId; ++getId)
+			{
+				const pending = pendingGetResolves.get(getId);
+				if (!pending)
+					continue;
+				
+				pendingGetResolves.delete(getId);
+				pending.reject(err);
+			}
+			
+			pendingFlush.reject(err);
+		}
+		
+		// Run a function and send all the commands it makes as one visual update, e.g. Via.frame(() => { ... }).
+		// The receiver runs them all together in the same animation frame, rather than possibly applying some of
+		// them in one frame and the rest in the next. Any commands made before this are sent separately first.
+		// The function must be synchronous, since commands made after an await would not be included. Returns a
+		// promise that resolves when the receiver has run the commands in its animation frame.
+		function Frame(func)
+		{
+			if (isInFrame)
+				throw new Error("Via.frame() calls cannot be nested");
+			
+			CheckConnection();
+			
+			if (isPendingFlush)
+				AutoFlush();
+			
+			isInFrame = true;
+			
+			try
+			{
+				func();
+			}
+			finally
+			{
+				isInFrame = false;
+			}
+			
+			isPendingFlush = false;
+			return PostQueue(true);
+		}
+		
+		// Set limits to stop large amounts of commands overwhelming the receiver, e.g. a loop creating thousands of
+		// elements. Options are:
+		// - maxCommandsPerMessage: post commands as soon as this many are queued, rather than waiting for the next
+		//   microtask, so a long queue is split over several messages. 0 for no limit (the default).
+		// - maxInFlightFlushes: maximum number of flushes posted to the receiver that it hasn't finished yet. Any more
+		//   wait on the controller until the receiver is done with earlier ones. 0 for no limit (the default).
+		// When commands are split over several messages, the next Flush() call (or automatic flush) covers all of
+		// them, so it rejects if a command failed in any of the messages, not just the last.
+		function SetFlushOptions(options)
+		{
+			if ("maxCommandsPerMessage" in options)
+				maxCommandsPerMessage = options.maxCommandsPerMessage || 0;
+			
+			if ("maxInFlightFlushes" in options)
+			{
+				maxInFlightFlushes = options.maxInFlightFlushes || 0;
+				PostOutbox();
+			}
+		}
+		
+		// Choose how commands are encoded when posted to the receiver: either "array" (the default), which posts
+		// commands as nested arrays, or "binary", which writes them to a compact binary format and can be faster
+		// for large numbers of commands. Binary encoding requires via/controller/binary.js on the controller and
+		// via/receiver/binary.js on the receiver. Any commands already queued are flushed first.
+		function SetEncoding(encoding)
+		{
+			if (encoding !== "array" && encoding !== "binary")
+				throw new Error("invalid encoding: " + encoding);
+			
+			if (encoding === "binary" && !Via._BinaryEncoder)
+				throw new Error("binary encoding requires via/controller/binary.js");
+			
+			if ((encoding === "binary") === !!binaryEncoder)
+				return;
+			
+			if (isPendingFlush)
+				AutoFlush();
+			
+			// The receiver keeps its decoder's name table for the whole session, so switching back to binary encoding
+			// must carry on with the same encoder and name table, rather than starting a new one.
+			if (encoding === "binary")
+			{
+				if (!sessionBinaryEncoder)
+					sessionBinaryEncoder = new Via._BinaryEncoder();
+				
+				binaryEncoder = sessionBinaryEncoder;
+			}
+			else
+			{
+				binaryEncoder = null;
+			}
+		}
+		
+		// Set a codec to encode messages before they are posted to the receiver and decode messages received from it,
+		// e.g. ViaJSONCodec (from via/common/json-codec.js) to send messages as text over a WebSocket. A codec is an
+		// object with encode(message) and decode(data) methods, and the receiver must use the same one. Encoded messages
+		// are copies, so nothing is transferred when using a codec. Pass null to post messages as-is again. Note codecs
+		// can't be used along with shared memory.
+		function SetCodec(newCodec)
+		{
+			if (newCodec && (typeof newCodec.encode !== "function" || typeof newCodec.decode !== "function"))
+				throw new TypeError("a codec must have encode() and decode() methods");
+			
+			if (newCodec && sharedChannel)
+				throw new Error("a codec can't be used with shared memory");
+			
+			codec = newCodec || null;
+		}
+		
+		// Post a message to the receiver, encoding it first if using a codec.
+		function PostMessage(message, transferList)
+		{
+			const data = (codec ? codec.encode(message) : message);
+			
+			if (isDebug)
+			{
+				stats.messagesPosted++;
+				stats.bytesPosted += EstimateSize(data);
+			}
+			
+			if (codec)
+				controller.postMessage(data);
+			else
+				controller.postMessage(data, transferList);
+		}
+		
+		// Called when a message received from the receiver
+		function OnMessage(data)
+		{
+			// Ignore anything still arriving from a closed connection.
+			if (closeError)
+				return;
+			
+			if (isDebug)
+				stats.messagesReceived++;
+			
+			if (codec)
+				data = codec.decode(data);
+			
+			switch (data.type) {
+			case "done":
+				OnDone(data);
+				break;
+			case "stats":
+				OnStats(data);
+				break;
+			case "callback":
+				OnCallback(data);
+				break;
+			case "cleanup-callbacks":
+				OnCleanupCallbacks(data);
+				break;
+			case "shared-ready":
+				GetSharedChannel().Start();
+				break;
+			case "shared-notify":
+				GetSharedChannel().OnNotify();
+				break;
+			case "shared-posted":
+				GetSharedChannel().OnPosted(data.message);
+				break;
+			case "pong":
+				isAwaitingPong = false;
+				break;
+			default:
+				throw new Error("invalid message type: " + data.type);
+			}
+		}
+
+		// Use shared memory for messages to and from the receiver, instead of postMessage, if the context supports it.
+		// This requires via/common/shared-channel.js on both sides and the page to be cross-origin isolated.
+		// Returns true if shared memory will be used, otherwise false, in which case messaging continues as normal.
+		// This wraps postMessage, so must be called after setting it. Optionally pass { bufferSize } to set
+		// the size in bytes of each direction's buffer.
+		function UseSharedMemory(options)
+		{
+			if (sharedChannel)
+				return true;
+			
+			if (!globalThis.ViaSharedChannel || !ViaSharedChannel.IsSupported() || codec)
+				return false;
+			
+			const bufferSize = (options && options.bufferSize);
+			const toReceiver = ViaSharedChannel.CreateBuffer(bufferSize);
+			const toController = ViaSharedChannel.CreateBuffer(bufferSize);
+			
+			// Send anything already queued with the normal messaging first.
+			if (isPendingFlush)
+				AutoFlush();
+			
+			const postMessage = controller.postMessage;
+			postMessageBeforeShared = postMessage;
+			
+			postMessage({
+				"type": "shared-setup",
+				"toReceiver": toReceiver,
+				"toController": toController
+			});
+			
+			sharedChannel = new ViaSharedChannel(toReceiver, toController, postMessage, OnMessage);
+			controller.postMessage = ((data, transferList) => sharedChannel.Post(data, transferList));
+			return true;
+		}
+		
+		function GetSharedChannel()
+		{
+			if (!sharedChannel)
+				throw new Error("not using shared memory");
+			
+			return sharedChannel;
+		}
+		
+		// Called when the receiver has finished a batch of commands passed by a flush.
+		function OnDone(data)
+		{
+			// Ignore batches sent before the last reconnect(), since their promises were already rejected.
+			if (data.flushId < sessionStartFlushId)
+				return;
+			
+			// Resolve any pending get requests with the values retrieved from the receiver.
+			for (const [getId, valueData] of data.getResults)
+			{
+				const pending = pendingGetResolves.get(getId);
+				if (!pending)
+					throw new Error("invalid get id");
+				
+				pendingGetResolves.delete(getId);
+				pending.resolve(UnwrapArg(valueData));
+			}
+			
+			// Handle any commands that failed. Failed gets reject their own promise; any object ID the
+			// command was meant to create is poisoned; and anything else rejects the flush promise.
+			// In debug mode each error also gets the trace of its command.
+			const flushId = data.flushId;
+			const pendingFlush = pendingFlushResolves.get(flushId);
+			const traces = (pendingFlush ? pendingFlush.traces : []);
+			let flushError = null;
+			
+			for (const errorData of data.errors)
+			{
+				const err = new Via.RemoteError(errorData, traces[errorData.cmdIndex] || null);
+				
+				if (typeof errorData.getId === "number")
+				{
+					const pending = pendingGetResolves.get(errorData.getId);
+					if (!pending)
+						throw new Error("invalid get id");
+					
+					pendingGetResolves.delete(errorData.getId);
+					pending.reject(err);
+					continue;
+				}
+				
+				if (typeof errorData.objectId === "number")
+					poisonedIds.set(errorData.objectId, err);
+				
+				if (!flushError)
+					flushError = err;
+			}
+			
+			// Settle the promise returned by the original Flush() call.
+			if (!pendingFlush)
+				throw new Error("invalid flush id");
+			
+			pendingFlushResolves.delete(flushId);
+			
+			if (pendingFlush.timerId !== -1)
+				clearTimeout(pendingFlush.timerId);
+			
+			// Post any flushes that were waiting for this one to be done.
+			inFlightCount--;
+			PostOutbox();
+			
+			if (flushError)
+				pendingFlush.reject(flushError);
+			else
+				pendingFlush.resolve();
+		}
+		
+		// Called when a callback is invoked on the receiver and this was forwarded to the controller.
+		function OnCallback(data)
+		{
+			const entry = idToCallback.get(data.id);
+			if (!entry)
+			{
+				// Callbacks from before the last reconnect() were dropped.
+				if (data.id < sessionStartCallbackId)
+					return;
+				
+				throw new Error("invalid callback id");
+			}
+			
+			const args = data.args.map(UnwrapArg);
+			
+			if (typeof data.callId !== "number")
+			{
+				entry.func(...args);
+				return;
+			}
+			
+			// Callbacks from Via.callback() with the async option send back their return value, or the error if
+			// they throw. Note only real promises are waited on, since placeholders appear to have a 'then' method.
+			let ret;
+			
+			try
+			{
+				ret = entry.func(...args);
+			}
+			catch (err)
+			{
+				PostCallbackReturn(data.callId, null, err);
+				return;
+			}
+			
+			if (ret instanceof Promise)
+				ret.then(value => PostCallbackReturn(data.callId, value, null), err => PostCallbackReturn(data.callId, null, err));
+			else
+				PostCallbackReturn(data.callId, ret, null);
+		}
+		
+		// Post the result of an async callback. This is a separate message rather than a command, since the receiver
+		// may be waiting for it before it can run any more commands. However any commands the callback made are sent
+		// first, so the result can be a placeholder for an object the callback created.
+		function PostCallbackReturn(callId, value, err)
+		{
+			if (closeError)
+				return;
+			
+			if (isPendingFlush)
+				AutoFlush();
+			
+			// The receiver may not be able to finish earlier flushes until it has the result, so post any waiting
+			// for the in-flight limit now, otherwise they could end up waiting for each other.
+			PostOutbox(true);
+			
+			let valueData = null;
+			
+			if (!err)
+			{
+				try
+				{
+					valueData = WrapArg(value);
+					AddCallbackSendsForArg(valueData);
+				}
+				catch (wrapErr)
+				{
+					err = wrapErr;
+				}
+			}
+			
+			DropUnsentCallbacks();
+			
+			PostMessage({
+				"type": "callback-return",
+				"callId": callId,
+				"value": valueData,
+				"error": (err ? SerializeError(err) : null)
+			}, Array.from(transferSet));
+			
+			transferSet.clear();
+		}
+		
+		// Called when the receiver has garbage collected callback shims. Each callback ID comes with the number of
+		// times the receiver received it. If the controller has sent it more times than that, those uses are
+		// still in flight and the receiver will create a new shim for them, so the callback must be kept.
+		function OnCleanupCallbacks(data)
+		{
+			for (const [id, useCount] of data.callbacks)
+			{
+				const entry = idToCallback.get(id);
+				if (!entry)
+				{
+					if (id < sessionStartCallbackId)
+						continue;
+					
+					throw new Error("invalid callback id");
+				}
+				
+				entry.sendCount -= useCount;
+				
+				if (entry.sendCount === 0)
+				{
+					idToCallback.delete(id);
+					callbackToId.delete(entry.key);
+				}
+			}
+		}
+		
+		// Get the callback ID for a function, or for a CallbackValue from Via.callback(), which has its own ID
+		// since its options are different to using the function directly.
+		function GetCallbackId(key, func)
+		{
+			// Lazy-create IDs
+			let id = callbackToId.get(key);
+			
+			if (typeof id === "undefined")
+			{
+				id = nextCallbackId++;
+				callbackToId.set(key, id);
+				idToCallback.set(id, { key, func, sendCount: 0 });
+				unsentCallbackIds.push(id);
+			}
+			
+			return id;
+		}
+		
+		// Wrap an argument to a small array representing the value, object, property or callback for
+		// posting to the receiver.
+		function WrapArg(arg)
+		{
+			try
+			{
+				return WrapArgRecursive(arg, null);
+			}
+			catch (err)
+			{
+				// The command won't be queued, so any callbacks given an ID for it won't be sent.
+				DropUnsentCallbacks();
+				throw err;
+			}
+		}
+		
+		// Arrays, plain objects, Maps and Sets are wrapped recursively, since their contents may include
+		// Via proxies or callbacks. The 'seen' set holds the containers currently being wrapped, to detect cycles.
+		function WrapArgRecursive(arg, seen)
+		{
+			// The Proxy objects used for objects and properties identify as functions.
+			// Use the special accessor symbols to see what they really are. If they're not a Proxy
+			// that Via knows about, assume it is a callback function instead.
+			if (typeof arg === "function")
+			{
+				// Identify Via object proxy by testing if its object symbol returns a number
+				const objectId = arg[Via.__ObjectSymbol];
+				if (typeof objectId === "number")
+				{
+					CheckController(arg[Via.__ControllerSymbol]);
+					CheckObjectId(objectId);
+					return [1 /* object */, objectId];
+				}
+				
+				// Identify Via property proxy by testing if its target symbol returns anything
+				const propertyTarget = arg[Via.__TargetSymbol];
+				
+				if (propertyTarget)
+				{
+					CheckController(propertyTarget._controller);
+					CheckObjectId(propertyTarget._objectId);
+					return [3 /* object property */, propertyTarget._objectId, propertyTarget._path];
+				}
+				
+				// Neither symbol applied; assume an ordinary callback function
+				return [2 /* callback */, GetCallbackId(arg, arg)];
+			}
+			// Callbacks from Via.callback() also pass their options for the receiver's shim.
+			else if (arg instanceof CallbackValue)
+			{
+				return [2 /* callback */, GetCallbackId(arg, arg.func), arg.options];
+			}
+			// Pass values marked by Via.transfer() as-is, and add their transfer list to the next flush.
+			else if (arg instanceof TransferValue)
+			{
+				for (const o of arg.transferList)
+					transferSet.add(o);
+				
+				return [0 /* primitive */, arg.value];
+			}
+			// Pass basic types that can be transferred via postMessage as-is.
+			else if (CanStructuredClone(arg))
+			{
+				return [0 /* primitive */, arg];
+			}
+			else if (Array.isArray(arg) || arg instanceof Map || arg instanceof Set || (typeof arg === "object" && IsPlainObject(arg)))
+			{
+				return WrapContainer(arg, seen);
+			}
+			else
+				throw new Error("invalid argument: cannot pass " + DescribeValueType(arg));
+		}
+		
+		function WrapContainer(arg, seen)
+		{
+			if (!seen)
+				seen = new Set();
+			
+			if (seen.has(arg))
+				throw new Error("invalid argument: cannot pass objects with circular references");
+			
+			seen.add(arg);
+			
+			const wrapItem = (item => WrapArgRecursive(item, seen));
+			let ret;
+			
+			if (Array.isArray(arg))
+			{
+				ret = [4 /* array */, arg.map(wrapItem)];
+			}
+			else if (arg instanceof Map)
+			{
+				ret = [6 /* map */, Array.from(arg, ([k, v]) => [wrapItem(k), wrapItem(v)])];
+			}
+			else if (arg instanceof Set)
+			{
+				ret = [7 /* set */, Array.from(arg, wrapItem)];
+			}
+			else
+			{
+				// Plain object: only own enumerable string keys are passed, as with structured clone.
+				ret = [5 /* object */, Object.keys(arg).map(k => [k, wrapItem(arg[k])])];
+			}
+			
+			seen.delete(arg);
+			return ret;
+		}
+		
+		// Unwrap an argument for a callback sent by the receiver.
+		function UnwrapArg(arr)
+		{
+			switch (arr[0])	{
+			case 0:		// primitive
+				return arr[1];
+			case 1:		// object
+				return GetObject(arr[1]);
+			case 4:		// array
+				return arr[1].map(UnwrapArg);
+			case 8:		// snapshot
+				return UnwrapSnapshot(arr[1], arr[2]);
+			default:
+				throw new Error("invalid arg type");
+			}
+		}
+		
+		// Unwrap the first argument of a callback from Via.callback() with the snapshot option. If the real object was
+		// also sent, return a Via object which returns the snapshot values for their property paths, so e.g. e.clientX
+		// is a number instead of a placeholder. Otherwise return a plain object with the snapshot values.
+		function UnwrapSnapshot(liveData, entries)
+		{
+			const snapshot = new Map(entries.map(([path, valueData]) => [path, UnwrapArg(valueData)]));
+			
+			if (liveData)
+			{
+				if (liveData[0] !== 1 /* object */)
+					return UnwrapArg(liveData);
+				
+				// Objects with snapshots aren't re-used, since each has different snapshot values.
+				const ret = Via._MakeObject(controller, liveData[1], snapshot);
+				RegisterObject(ret, liveData[1]);
+				return ret;
+			}
+			
+			// Build nested objects for paths like "target.value". Values are only added to objects created here, so
+			// if a path's parent is also in the snapshot, e.g. "target", whichever comes first in the list is used.
+			const ret = {};
+			const created = new Set([ret]);
+			
+			for (const [path, value] of snapshot)
+			{
+				const names = path.split(".");
+				let o = ret;
+				
+				for (let i = 0, len = names.length - 1; i < len && o; ++i)
+				{
+					let next = o[names[i]];
+					
+					if (typeof next === "undefined")
+					{
+						next = {};
+						created.add(next);
+						o[names[i]] = next;
+					}
+					
+					o = (created.has(next) ? next : null);
+				}
+				
+				if (o)
+					o[names[names.length - 1]] = value;
+			}
+			
+			return ret;
+		}
+		
+		// Add a command to the queue representing a get request, calling resolve or reject with the result.
+		// Other commands which send back a result, such as has, can be added by passing their command type and
+		// an extra argument.
+		function AddGet(objectId, path, resolve, reject, type, extra)
+		{
+			if (closeError)
+			{
+				reject(new Via.DisconnectedError(closeError.message));
+				return;
+			}
+			
+			if (IsStaleId(objectId))
+			{
+				reject(new Via.DisconnectedError(`cannot use object id ${objectId} because it is from a previous connection`));
+				return;
+			}
+			
+			const poisonError = poisonedIds.get(objectId);
+			if (poisonError)
+			{
+				reject(poisonError);
+				return;
+			}
+			
+			if (releasedIds.has(objectId))
+			{
+				reject(new Error(GetReleasedMessage(objectId)));
+				return;
+			}
+			
+			const getId = nextGetId++;
+			
+			const cmd = [type || 2 /* get */, getId, objectId, path];
+			
+			if (typeof extra !== "undefined")
+				cmd.push(extra);
+			
+			// Add the pending get first, since adding the command can post it straight away if the queue is split.
+			pendingGetResolves.set(getId, { resolve, reject });
+			AddToQueue(cmd);
+		}
+		
+		// Return a promise that resolves with the real value of a property, e.g. get(via.document.title).
+		// This involves a message round-trip, but multiple gets can be requested in parallel, and they will
+		// all be processed in the same round-trip.
+		function Get(proxy)
+		{
+			const target = GetProxyTarget(proxy);
+			
+			// If the passed object isn't recognized as a Via object, just return it wrapped in a promise.
+			if (!target)
+				return Promise.resolve(proxy);
+			
+			CheckController(target[0]);
+			
+			return new Promise((resolve, reject) => AddGet(target[1], target[2], resolve, reject));
+		}
+		
+		// Return a promise that resolves with the result of a query command, such as has, for a Via object or property.
+		function Query(type, target, extra)
+		{
+			CheckController(target[0]);
+			
+			return new Promise((resolve, reject) => AddGet(target[1], target[2], resolve, reject, type, extra));
+		}
+		
+		// Create an iterator for Via.iterate(). The receiver creates the iterator as a new object ID, and then each
+		// next command returns an array of up to batchSize items. Fewer items than that means the end was reached.
+		function Iterate(target, batchSize)
+		{
+			CheckController(target[0]);
+			CheckObjectId(target[1]);
+			
+			const iteratorId = GetNextObjectId();
+			AddToQueue([9 /* iterator */, target[1], target[2], iteratorId]);
+			
+			// Hold on to an object proxy for the iterator, so its ID is cleaned up when this is collected. It's also
+			// released as soon as iterating ends, either by reaching the end or by return() (e.g. break in for-await).
+			const iterator = GetObject(iteratorId);
+			let items = [];
+			let index = 0;
+			let isDone = false;
+			
+			return {
+				[Symbol.asyncIterator]()
+				{
+					return this;
+				},
+				
+				async next()
+				{
+					if (index === items.length && !isDone)
+					{
+						items = await new Promise((resolve, reject) => AddGet(iterator[Via.__ObjectSymbol], null, resolve, reject, 10 /* next */, batchSize));
+						index = 0;
+						isDone = (items.length < batchSize);
+						
+						if (isDone)
+							Release(iterator);
+					}
+					
+					if (index < items.length)
+						return { value: items[index++], done: false };
+					
+					return { value: undefined, done: true };
+				},
+				
+				async return()
+				{
+					isDone = true;
+					items = [];
+					Release(iterator);
+					return { value: undefined, done: true };
+				}
+			};
+		}
+		
+		// Return the real value of a property synchronously, e.g. Via.getSync(via.document.body.clientWidth), by
+		// blocking until the receiver has run all queued commands. This requires shared memory (see Via.useSharedMemory())
+		// and can only be used where blocking is allowed, such as in a worker. Other messages from the receiver, such as
+		// callbacks, are not run until afterwards. Throws if it times out after the optional timeout in milliseconds,
+		// or if the result could only be sent with postMessage (e.g. a Blob), in which case use get() instead.
+		function GetSync(proxy, timeoutMs)
+		{
+			CheckConnection();
+			
+			if (!sharedChannel)
+				throw new Error("Via.getSync() requires shared memory (see Via.useSharedMemory())");
+			
+			const target = GetProxyTarget(proxy);
+			if (!target)
+				return proxy;
+			
+			CheckController(target[0]);
+			
+			let isDone = false;
+			let value;
+			let error = null;
+			
+			AddGet(target[1], target[2], v =>
+			{
+				isDone = true;
+				value = v;
+			}, err =>
+			{
+				isDone = true;
+				error = err;
+			});
+			
+			if (!isDone)
+			{
+				AutoFlush();
+				
+				if (!sharedChannel.WaitSync(() => isDone, data => data.type === "done", timeoutMs))
+					throw new Error("Via.getSync() timed out, or the result could only be sent with postMessage (use get() instead)");
+			}
+			
+			if (error)
+				throw error;
+			
+			return value;
+		}
+		
+		// Run a function, which may be async, with a scope that releases every placeholder created through it once
+		// the function finishes, e.g.
+		//   await Via.scope(async scope => { const img = scope.via.document.createElement("img"); ... });
+		// Use scope.via in place of 'via' for the placeholders to belong to the scope, and scope.track(placeholder)
+		// to add others. Returns a promise that resolves with the function's result, which should be a real value
+		// (e.g. from get()) rather than a placeholder from the scope.
+		async function Scope(func)
+		{
+			const scope = new ViaScope(controller);
+			
+			try
+			{
+				return await func(scope);
+			}
+			finally
+			{
+				scope._End();
+			}
+		}
+		
+		// Get a placeholder for an object the receiver made available with ViaReceiver.expose(), e.g.
+		// Via.remote("primes"). The receiver looks up the name when the command runs, so this can be used
+		// straight away. If nothing is exposed with that name, using the placeholder fails with an error.
+		function Remote(name)
+		{
+			if (typeof name !== "string")
+				throw new TypeError("Via.remote() name must be a string");
+			
+			const objectId = GetNextObjectId();
+			AddToQueue([12 /* remote */, name, objectId]);
+			return GetObject(objectId);
+		}
+		
+		// Close the connection to the receiver, e.g. before terminating a worker. The receiver drops all its object IDs
+		// and callbacks for the connection. Anything still waiting on the receiver, such as get() and Flush() promises,
+		// is rejected with a Via.DisconnectedError, and so is any later use of the connection until reconnect() is called.
+		function Close()
+		{
+			Disconnect(new Via.DisconnectedError("the connection was closed"));
+		}
+		
+		// Handle the connection being closed or lost. The error is used to reject everything still waiting, and then
+		// onDisconnect is called with it.
+		function Disconnect(err)
+		{
+			if (closeError)
+				return;
+			
+			closeError = err;
+			
+			// Tell the receiver to drop everything for this connection in case it's still there, e.g. if it was just
+			// slow to respond.
+			try
+			{
+				PostMessage({
+					"type": "close"
+				});
+			}
+			catch (postErr)
+			{
+				// Posting can fail if the receiver is gone, which doesn't matter here.
+			}
+			
+			if (sharedChannel)
+			{
+				controller.postMessage = postMessageBeforeShared;
+				sharedChannel = null;
+			}
+			
+			queue.length = 0;
+			transferSet.clear();
+			outbox.length = 0;
+			inFlightCount = 0;
+			splitFlushes.length = 0;
+			
+			if (binaryEncoder)
+				binaryEncoder.Finish();
+			
+			if (finalizeTimerId !== -1)
+			{
+				clearTimeout(finalizeTimerId);
+				finalizeTimerId = -1;
+			}
+			
+			finalizeIdQueue.length = 0;
+			StopHeartbeat();
+			
+			// Forget all the objects and callbacks from this session, apart from the global object.
+			for (const id of objectEntries.keys())
+			{
+				if (id !== 0)
+					objectEntries.delete(id);
+			}
+			
+			poisonedIds.clear();
+			releasedIds.clear();
+			releaseStacks.clear();
+			debugNames.clear();
+			debugTraces = [];
+			callbackToId.clear();
+			idToCallback.clear();
+			unsentCallbackIds.length = 0;
+			
+			for (const pending of pendingFlushResolves.values())
+			{
+				if (pending.timerId !== -1)
+					clearTimeout(pending.timerId);
+				
+				pending.reject(err);
+			}
+			
+			for (const pending of pendingGetResolves.values())
+				pending.reject(err);
+			
+			for (const pending of pendingStatsResolves.values())
+				pending.reject(err);
+			
+			pendingFlushResolves.clear();
+			pendingGetResolves.clear();
+			pendingStatsResolves.clear();
+			
+			if (controller.onDisconnect)
+				controller.onDisconnect(err);
+		}
+		
+		// Start a new connection after the previous one was closed or lost, e.g. to a new worker. Set up postMessage
+		// and OnMessage for the new receiver before calling this. The 'via' object carries on working, but any other
+		// placeholders from the previous connection can't be used again, and throw a Via.DisconnectedError if they are.
+		// A connection that is still open is closed first.
+		function Reconnect()
+		{
+			if (!closeError)
+				Close();
+			
+			closeError = null;
+			sessionStartId = nextObjectId;
+			receiverIdStart = lowestReceiverId - 1;
+			sessionStartFlushId = nextFlushId;
+			sessionStartCallbackId = nextCallbackId;
+			
+			// The binary encoding's name table starts again for the new receiver.
+			sessionBinaryEncoder = null;
+			
+			if (binaryEncoder)
+			{
+				sessionBinaryEncoder = new Via._BinaryEncoder();
+				binaryEncoder = sessionBinaryEncoder;
+			}
+			
+			// Tell the receiver which IDs to use, so its IDs don't clash with those from earlier connections.
+			PostMessage({
+				"type": "open",
+				"nextObjectId": receiverIdStart
+			});
+			
+			StartHeartbeat();
+		}
+		
+		// Set options for detecting when the receiver stops responding, e.g. if a worker crashes or an iframe navigates
+		// away. In that case the connection is closed, as if with close(). Options are:
+		// - ackTimeout: time in milliseconds to wait for each flush to be done by the receiver. Note this includes
+		//   time spent waiting for promises to settle, such as a get() of a fetch() result. 0 to disable (the default).
+		// - heartbeatInterval: interval in milliseconds to check the receiver is still responding. The receiver must
+		//   respond to each check within the interval. 0 to disable (the default).
+		function SetConnectionOptions(options)
+		{
+			if ("ackTimeout" in options)
+				ackTimeoutMs = options.ackTimeout || 0;
+			
+			if ("heartbeatInterval" in options)
+			{
+				heartbeatIntervalMs = options.heartbeatInterval || 0;
+				StartHeartbeat();
+			}
+		}
+		
+		function OnAckTimeout()
+		{
+			Disconnect(new Via.DisconnectedError(`the receiver did not respond within ${ackTimeoutMs} ms`));
+		}
+		
+		function StartHeartbeat()
+		{
+			StopHeartbeat();
+			
+			if (heartbeatIntervalMs > 0 && !closeError)
+				heartbeatTimerId = setInterval(OnHeartbeat, heartbeatIntervalMs);
+		}
+		
+		function StopHeartbeat()
+		{
+			if (heartbeatTimerId !== -1)
+			{
+				clearInterval(heartbeatTimerId);
+				heartbeatTimerId = -1;
+			}
+			
+			isAwaitingPong = false;
+		}
+		
+		// Ping the receiver, which responds with a pong straight away. If the last ping still hasn't had a response,
+		// the receiver has stopped responding.
+		function OnHeartbeat()
+		{
+			if (isAwaitingPong)
+			{
+				Disconnect(new Via.DisconnectedError(`the receiver did not respond to a heartbeat within ${heartbeatIntervalMs} ms`));
+				return;
+			}
+			
+			isAwaitingPong = true;
+			
+			PostMessage({
+				"type": "ping"
+			});
+		}
+		
+		// Turn debug mode on or off. In debug mode, each command records a readable path (e.g. "document.body.appendChild")
+		// and the stack where it was made. If the command fails on the receiver, the Via.RemoteError uses the readable
+		// path in its message, and has them as its commandPath and controllerStack properties, with the stack also
+		// added to its own. Using an object after Via.release() also says where it was released. This has a significant
+		// performance cost, so is only intended for diagnosing problems. Turning it on also resets the statistics
+		// counters returned by getStats(), which are only counted in debug mode.
+		function SetDebug(enabled)
+		{
+			enabled = !!enabled;
+			if (enabled === isDebug)
+				return;
+			
+			// Send anything already queued first, so traces line up with the commands they're for.
+			if (isPendingFlush)
+				AutoFlush();
+			
+			isDebug = enabled;
+			
+			if (isDebug)
+			{
+				stats.startTime = performance.now();
+				stats.messagesPosted = 0;
+				stats.messagesReceived = 0;
+				stats.bytesPosted = 0;
+				stats.flushes = 0;
+				stats.commandsPosted = 0;
+			}
+			else
+			{
+				debugNames.clear();
+				releaseStacks.clear();
+			}
+		}
+		
+		// Return a promise that resolves with statistics for diagnosing leaks and chatty code, as an object with
+		// controller and receiver properties. The controller statistics are:
+		// - liveObjects: object IDs with placeholders still in use, including the global object
+		// - releasedObjects: object IDs released with Via.release() whose placeholders haven't been collected yet
+		// - callbacks: callbacks the receiver can still call
+		// - pendingGets, pendingFlushes: get() and Flush() calls waiting on the receiver
+		// - queuedCommands: commands waiting to be posted
+		// - messagesPosted, messagesReceived, bytesPosted, flushes, commandsPosted: counters since debug mode was
+		//   turned on, which stay at 0 otherwise. bytesPosted is an estimate.
+		// - commandsPerFlush, messagesPerSecond: averages of the counters since debug mode was turned on
+		// The receiver statistics are those returned by its getStats().
+		function GetStats()
+		{
+			CheckConnection();
+			
+			// Include anything already queued in the receiver statistics.
+			if (isPendingFlush)
+				AutoFlush();
+			
+			const controllerStats = GetControllerStats();
+			const requestId = nextStatsRequestId++;
+			
+			return new Promise((resolve, reject) =>
+			{
+				pendingStatsResolves.set(requestId, {
+					resolve: (receiverStats => resolve({ controller: controllerStats, receiver: receiverStats })),
+					reject
+				});
+				
+				PostMessage({
+					"type": "stats",
+					"requestId": requestId
+				});
+			});
+		}
+		
+		function GetControllerStats()
+		{
+			const seconds = (isDebug ? (performance.now() - stats.startTime) / 1000 : 0);
+			
+			return {
+				liveObjects: objectEntries.size,
+				releasedObjects: releasedIds.size,
+				callbacks: idToCallback.size,
+				pendingGets: pendingGetResolves.size,
+				pendingFlushes: pendingFlushResolves.size,
+				queuedCommands: (binaryEncoder ? binaryEncoder.commandCount : queue.length),
+				messagesPosted: stats.messagesPosted,
+				messagesReceived: stats.messagesReceived,
+				bytesPosted: stats.bytesPosted,
+				flushes: stats.flushes,
+				commandsPosted: stats.commandsPosted,
+				commandsPerFlush: (stats.flushes > 0 ? stats.commandsPosted / stats.flushes : 0),
+				messagesPerSecond: (seconds > 0 ? (stats.messagesPosted + stats.messagesReceived) / seconds : 0)
+			};
+		}
+		
+		// Called when the receiver replies to a getStats() request.
+		function OnStats(data)
+		{
+			// Requests from before the last reconnect() were already rejected.
+			const pending = pendingStatsResolves.get(data.requestId);
+			if (!pending)
+				return;
+			
+			pendingStatsResolves.delete(data.requestId);
+			pending.resolve(data.stats);
+		}
+		
+		// Internal functions used by the Proxy handlers
+		controller._GetNextObjectId = GetNextObjectId;
+		controller._AddToQueue = AddToQueue;
+		controller._CheckObjectId = CheckObjectId;
+		controller._WrapArg = WrapArg;
+		controller._Query = Query;
+		controller._Iterate = Iterate;
+		controller._GetObject = GetObject;
+		controller._Release = Release;
+		
+		// Internal function used by connection adapters, to close the connection when the receiver is known to be gone.
+		controller._Disconnect = Disconnect;
+		
+		// Public API
+		controller.Flush = Flush;
+		controller.OnMessage = OnMessage;
+		controller.setEncoding = SetEncoding;
+		controller.useSharedMemory = UseSharedMemory;
+		controller.get = Get;
+		controller.getSync = GetSync;
+		controller.remote = Remote;
+		controller.scope = Scope;
+		controller.close = Close;
+		controller.reconnect = Reconnect;
+		controller.setConnectionOptions = SetConnectionOptions;
+		controller.setFlushOptions = SetFlushOptions;
+		controller.frame = Frame;
+		controller.setCodec = SetCodec;
+		controller.setDebug = SetDebug;
+		controller.getStats = GetStats;
+		
+		// Create a 'via' object (note the lowercase) representing the global object on the receiver side
+		controller.via = GetObject(0);
+		
+		SetConnectionOptions(options);
+		SetFlushOptions(options);
+		
+		if (options.codec)
+			SetCodec(options.codec);
+		
+		if (options.debug)
+			SetDebug(true);
+		
+		return controller;
+	}
+	
+	// Built-in adapters for the usual messaging bridges. These tag Via.js messages with a channel name and ignore
+	// any other messages, so the same worker, port or window can also carry an app's own messages, or several Via.js
+	// connections on different channels. The receiver must use the matching ViaReceiver adapter with the same channel.
+	// Options for all of them are:
+	// - channel: the name to tag messages with, which defaults to "via"
+	// - controller: a controller made with Via.createController() to connect, instead of the default one
+	// Each returns a function which removes the message listener.
+	
+	// Connect to a receiver in a Worker, i.e. the page side of controlling code in a worker.
+	Via.connectWorker = function (worker, options)
+	{
+		return Via.connectPort(worker, options);
+	};
+	
+	// Connect to a receiver on the other end of a MessagePort, or anything else with postMessage() and message events.
+	// For example pass self to connect from inside a worker to a receiver on the page.
+	Via.connectPort = function (port, options)
+	{
+		options = options || {};
+		
+		const ret = ConnectAdapter(options, port, ((message, transferList) => port.postMessage(message, transferList)), (() => true));
+		
+		// MessagePorts don't deliver messages to addEventListener() listeners until they are started.
+		if (typeof port.start === "function")
+			port.start();
+		
+		return ret;
+	};
+	
+	// Connect to a receiver in another window, such as an iframe's contentWindow or window.parent. Since any page can
+	// post messages to a window, the other window's origin must be passed as the origin option, e.g.
+	// { origin: "https://example.com" }. Messages are only posted to that origin, and only messages from the other
+	// window with that origin are accepted.
+	Via.connectWindow = function (targetWindow, options)
+	{
+		options = options || {};
+		
+		const origin = options.origin;
+		if (typeof origin !== "string" || origin === "*")
+			throw new Error("Via.connectWindow() requires the origin of the other window");
+		
+		return ConnectAdapter(options, globalThis, ((message, transferList) => targetWindow.postMessage(message, origin, transferList)),
+							  (e => e.source === targetWindow && e.origin === origin));
+	};
+	
+	// Connect a controller to a bridge, posting with post() and receiving message events from eventTarget. Messages are
+	// wrapped as { via: channel, message }, and received ones are only passed on if they have the same channel and
+	// isAccepted() returns true for the event.
+	function ConnectAdapter(options, eventTarget, post, isAccepted)
+	{
+		const channel = ("channel" in options ? options.channel : "via");
+		const controller = options.controller || Via;
+		
+		function OnMessage(e)
+		{
+			const data = e.data;
+			if (data === null || typeof data !== "object" || data["via"] !== channel || !isAccepted(e))
+				return;
+			
+			controller.OnMessage(data["message"]);
+		}
+		
+		controller.postMessage = ((data, transferList) => post({
+			"via": channel,
+			"message": data
+		}, transferList || []));
+		
+		eventTarget.addEventListener("message", OnMessage);
+		
+		return (() => eventTarget.removeEventListener("message", OnMessage));
+	}
+	
+	if (typeof FinalizationRegistry === "undefined")
+		console.warn("[Via.js] No WeakRefs support - will leak memory unless placeholders are released with Via.release()");
+	
+	// Create the default controller, which posts messages with Via.postMessage. Its API is available directly
+	// on the Via namespace, and its 'via' object and get() function are globals.
+	const defaultController = CreateController({
+		postMessage: ((data, transferList) => Via.postMessage(data, transferList)),
+		onDisconnect: (err =>
+		{
+			if (Via.onDisconnect)
+				Via.onDisconnect(err);
+		})
+	});
+	
+	Via.Flush = defaultController.Flush;
+	Via.OnMessage = defaultController.OnMessage;
+	Via.setEncoding = defaultController.setEncoding;
+	Via.useSharedMemory = defaultController.useSharedMemory;
+	Via.getSync = defaultController.getSync;
+	Via.remote = defaultController.remote;
+	Via.scope = defaultController.scope;
+	Via.close = defaultController.close;
+	Via.reconnect = defaultController.reconnect;
+	Via.setConnectionOptions = defaultController.setConnectionOptions;
+	Via.setFlushOptions = defaultController.setFlushOptions;
+	Via.frame = defaultController.frame;
+	Via.setCodec = defaultController.setCodec;
+	Via.setDebug = defaultController.setDebug;
+	Via.getStats = defaultController.getStats;
+	Via._Disconnect = defaultController._Disconnect;
+	
+	globalThis.via = defaultController.via;
+	globalThis.get = defaultController.get;
+	
+	// Also export the namespace when loaded as a CommonJS module, e.g. with require() in Node.js. Note object.js
+	// and property.js must be loaded first, as with script tags; via/node/controller.js loads everything in order.
+	if (typeof module === "object" && module !== null && module.exports)
+		module.exports = Via;
 }
\ No newline at end of file
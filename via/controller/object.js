@@ -1,45 +1,132 @@
 "use strict";
 
 {
-	if (!self.Via)
-		self.Via = {};
+	if (!globalThis.Via)
+		globalThis.Via = {};
 	
 	const ViaObjectHandler =
 	{
 		get(target, property, receiver)
 		{
 			// Return a Via property proxy, unless the special object symbol is passed,
-			// in which case return the backing object ID.
+			// in which case return the backing object ID, or the special controller symbol,
+			// in which case return the controller the object belongs to.
 			if (property === Via.__ObjectSymbol)
 				return target._objectId;
 			
-			return Via._MakeProperty(target._objectId, [property]);
+			if (property === Via.__ControllerSymbol)
+				return target._controller;
+			
+			if (typeof property === "symbol")
+				return Via._GetSymbolProperty(property, receiver, key => Via._MakeProperty(target._controller, target._objectId, [key], null, target._scope));
+			
+			// Object placeholders must not look like promises, or resolving a promise with one, e.g. in get() or by
+			// returning it from an async function, would call a remote 'then' method and never settle. Promises
+			// returned on the receiver are already settled there before their placeholder is used.
+			if (property === "then")
+				return undefined;
+			
+			// Objects from callbacks using Via.callback() with the snapshot option return the copied values for those
+			// properties. Property paths are joined with dots.
+			const snapshot = target._snapshot;
+			if (snapshot)
+			{
+				if (snapshot.has(property))
+					return snapshot.get(property);
+				
+				return Via._MakeProperty(target._controller, target._objectId, [property], snapshot, target._scope);
+			}
+			
+			return Via._MakeProperty(target._controller, target._objectId, [property], null, target._scope);
 		},
 		
 		set(target, property, value, receiver)
 		{
 			// Add a set command to the queue.
-			Via._AddToQueue([1 /* set */, target._objectId, [property], Via._WrapArg(value)]);
+			const controller = target._controller;
+			controller._CheckObjectId(target._objectId);
+			controller._AddToQueue([1 /* set */, target._objectId, [Via._GetPathKey(property)], controller._WrapArg(value)]);
+			
+			return true;
+		},
+		
+		deleteProperty(target, property)
+		{
+			// Add a delete command to the queue.
+			const controller = target._controller;
+			controller._CheckObjectId(target._objectId);
+			controller._AddToQueue([4 /* delete */, target._objectId, [Via._GetPathKey(property)]]);
 			
 			return true;
+		},
+		
+		// The 'in' operator and Object.keys() must return synchronously, so can't be answered by the receiver.
+		// Rather than silently answering for the local dummy function, throw an error pointing to the helpers.
+		has(target, property)
+		{
+			Via._ThrowUnsupportedOperator("in", "await Via.has()");
+		},
+		
+		ownKeys(target)
+		{
+			Via._ThrowUnsupportedOperator("Object.keys()", "await Via.keys()");
+		}
+	};
+	
+	Via._ThrowUnsupportedOperator = function (operator, alternative)
+	{
+		throw new TypeError(`cannot use ${operator} with a Via placeholder; use '${alternative}' instead`);
+	};
+	
+	// Get a symbol property on a Via proxy. Well-known symbols are added to the property path by calling
+	// makeProperty with their key, and other symbols return undefined, since they can't be sent to the receiver.
+	// Some symbols used by operators are handled specially.
+	Via._GetSymbolProperty = function (property, proxy, makeProperty)
+	{
+		switch (property) {
+		case Symbol.hasInstance:
+			// Using 'instanceof' with a placeholder class would otherwise call a remote Symbol.hasInstance method
+			// and always return true, since the result is a placeholder.
+			Via._ThrowUnsupportedOperator("instanceof", "await Via.isInstance()");
+		case Symbol.iterator:
+			// Iterating synchronously would silently end straight away, since each result is a placeholder.
+			Via._ThrowUnsupportedOperator("for-of or spread", "for await (... of Via.iterate())");
+		case Symbol.asyncIterator:
+			// Allow for-await-of to iterate remote objects directly.
+			return (() => Via.iterate(proxy));
+		case Symbol.dispose:
+			// Allow 'using' declarations to release placeholders at the end of the block.
+			return (() => Via.release(proxy));
 		}
+		
+		const key = Via._EncodeKey(property);
+		return (typeof key === "undefined" ? undefined : makeProperty(key));
+	};
+	
+	// Get the key to use in a property path for setting or deleting a property, throwing if it's a symbol
+	// that can't be sent to the receiver.
+	Via._GetPathKey = function (property)
+	{
+		const key = Via._EncodeKey(property);
+		if (typeof key === "undefined")
+			throw new TypeError(`cannot use ${String(property)} as a property of a Via placeholder`);
+		
+		return key;
 	};
 
-	Via._MakeObject = function (id)
+	Via._MakeObject = function (controller, id, snapshot, scope)
 	{
 		// For the apply and construct traps to work, the target must be callable.
-		// So use a function object as the target, and stash the object ID on it.
+		// So use a function object as the target, and stash the controller and object ID on it,
+		// along with the map of property path -> value if it has a snapshot, and the Via.scope() scope
+		// that objects created through it belong to, if any.
 		const func = function() {};
+		func._controller = controller;
 		func._objectId = id;
-		const ret = new Proxy(func, ViaObjectHandler);
-
-		// When supported, register the returned object in the finalization registry with
-		// its associated ID. This allows GC of the Proxy object to notify the receiver
-		// side that its ID can be dropped, ensuring the real object can be collected
-		// as well. If this is not supported it will leak memory!
-		if (Via.finalizationRegistry)
-			Via.finalizationRegistry.register(ret, id);
+		func._snapshot = snapshot || null;
+		func._scope = scope || null;
 		
-		return ret;
+		// Note the controller registers the returned object in its finalization registry.
+		return new Proxy(func, ViaObjectHandler);
 	}
 }
\ No newline at end of file
@@ -1,8 +1,8 @@
 "use strict";
 
 {
-	if (!self.Via)
-		self.Via = {};
+	if (!globalThis.Via)
+		globalThis.Via = {};
 	
 	const ViaPropertyHandler =
 	{
@@ -13,6 +13,16 @@
 			if (property === Via.__TargetSymbol)
 				return target;
 			
+			if (typeof property === "symbol")
+			{
+				return Via._GetSymbolProperty(property, receiver, key =>
+				{
+					const path = target._path.slice(0);
+					path.push(key);
+					return Via._MakeProperty(target._controller, target._objectId, path, null, target._scope);
+				});
+			}
+			
 			// It's common to repeatedly look up the same properties, e.g. calling
 			// via.document.body.appendChild() in a loop. To speed this up and relieve pressure on the GC,
 			// cache the proxy for the next property in the chain, so we return the same proxy every time.
@@ -25,7 +35,18 @@
 			
 			const path = target._path.slice(0);
 			path.push(property);
-			const ret = Via._MakeProperty(target._objectId, path);
+			
+			// Return values copied in a callback snapshot the same way as object proxies, e.g. for "target.value".
+			// Snapshot values aren't cached, since they're returned directly rather than as a proxy.
+			const snapshot = target._snapshot;
+			if (snapshot)
+			{
+				const key = path.join(".");
+				if (snapshot.has(key))
+					return snapshot.get(key);
+			}
+			
+			const ret = Via._MakeProperty(target._controller, target._objectId, path, snapshot, target._scope);
 			nextCache.set(property, ret);		// add to next property cache
 			return ret;
 		},
@@ -33,45 +54,82 @@
 		set(target, property, value, receiver)
 		{
 			// Add a set command to the queue, including a copy of the property path.
+			const controller = target._controller;
+			controller._CheckObjectId(target._objectId);
+			
 			const path = target._path.slice(0);
-			path.push(property);
+			path.push(Via._GetPathKey(property));
 			
-			Via._AddToQueue([1 /* set */, target._objectId, path, Via._WrapArg(value)]);
+			controller._AddToQueue([1 /* set */, target._objectId, path, controller._WrapArg(value)]);
 			
 			return true;
 		},
 		
+		deleteProperty(target, property)
+		{
+			// Add a delete command to the queue, including a copy of the property path.
+			const controller = target._controller;
+			controller._CheckObjectId(target._objectId);
+			
+			const path = target._path.slice(0);
+			path.push(Via._GetPathKey(property));
+			
+			controller._AddToQueue([4 /* delete */, target._objectId, path]);
+			
+			return true;
+		},
+		
+		// See the object handler for why these throw.
+		has(target, property)
+		{
+			Via._ThrowUnsupportedOperator("in", "await Via.has()");
+		},
+		
+		ownKeys(target)
+		{
+			Via._ThrowUnsupportedOperator("Object.keys()", "await Via.keys()");
+		},
+		
 		apply(target, thisArg, argumentsList)
 		{
 			// Allocate a new object ID for the return value, add a call command to the queue, and then return
 			// a Via object proxy representing the returned object ID.
-			const returnObjectId = Via._GetNextObjectId();
+			const controller = target._controller;
+			controller._CheckObjectId(target._objectId);
 			
-			Via._AddToQueue([0 /* call */, target._objectId, target._path, argumentsList.map(Via._WrapArg), returnObjectId]);
+			const returnObjectId = controller._GetNextObjectId();
 			
-			return Via._MakeObject(returnObjectId);
+			controller._AddToQueue([0 /* call */, target._objectId, target._path, argumentsList.map(controller._WrapArg), returnObjectId]);
+			
+			return controller._GetObject(returnObjectId, target._scope);
 		},
 		
 		construct(target, argumentsList, newTarget)
 		{
 			// This is the same as the apply trap except a different command is used for construct instead of call.
 			// The command handler is also the same as when calling a function, except it uses 'new'.
-			const returnObjectId = Via._GetNextObjectId();
+			const controller = target._controller;
+			controller._CheckObjectId(target._objectId);
+			
+			const returnObjectId = controller._GetNextObjectId();
 			
-			Via._AddToQueue([3 /* construct */, target._objectId, target._path, argumentsList.map(Via._WrapArg), returnObjectId]);
+			controller._AddToQueue([3 /* construct */, target._objectId, target._path, argumentsList.map(controller._WrapArg), returnObjectId]);
 			
-			return Via._MakeObject(returnObjectId);
+			return controller._GetObject(returnObjectId, target._scope);
 		}
 	};
 
-	Via._MakeProperty = function (objectId, path)
+	Via._MakeProperty = function (controller, objectId, path, snapshot, scope)
 	{
 		// For the apply and construct traps to work, the target must be callable.
-		// So use a function object as the target, and stash the object ID and
-		// the property path on it.
+		// So use a function object as the target, and stash the controller, object ID and
+		// the property path on it, along with the snapshot and scope of the object it came from if any.
 		const func = function () {};
+		func._controller = controller;
 		func._objectId = objectId;
 		func._path = path;
+		func._snapshot = snapshot || null;
+		func._scope = scope || null;
 		func._nextCache = new Map();		// for recycling sub-property lookups
 		return new Proxy(func, ViaPropertyHandler);
 	}
@@ -0,0 +1,66 @@
+"use strict";
+
+{
+	if (!globalThis.Via)
+		globalThis.Via = {};
+
+	// Adapter for connecting to a receiver over a WebSocket, e.g. to control objects in another process. Messages are
+	// sent as JSON text, so via/common/json-codec.js must also be loaded, and the receiver must use its WebSocket
+	// adapter (or otherwise set ViaJSONCodec as its codec). The socket can be a browser WebSocket or any object with
+	// the same API, such as a WebSocket from the Node.js "ws" package.
+
+	// Connect a controller to a receiver over a WebSocket. This connects the default controller, i.e. Via.postMessage
+	// and Via.OnMessage, unless a controller made with Via.createController() is passed. It also sets the controller's
+	// codec to ViaJSONCodec; call setCodec() afterwards to use a different one. Messages posted before the socket is
+	// open are sent once it opens. When the socket closes the connection is closed with a Via.DisconnectedError, and
+	// it can be continued with a new socket by connecting it and calling reconnect(). Returns a function which removes
+	// the listeners added to the socket.
+	Via.connectWebSocket = function (socket, controller)
+	{
+		if (!globalThis.ViaJSONCodec)
+			throw new Error("Via.connectWebSocket() requires via/common/json-codec.js");
+
+		const target = controller || Via;
+		const pending = [];					// messages posted while the socket is still connecting
+
+		function OnOpen()
+		{
+			for (const data of pending)
+				socket.send(data);
+
+			pending.length = 0;
+		}
+
+		function OnMessage(e)
+		{
+			target.OnMessage(e.data);
+		}
+
+		function OnClose(e)
+		{
+			target._Disconnect(new Via.DisconnectedError(`the WebSocket was closed with code ${e.code}`));
+		}
+
+		target.setCodec(ViaJSONCodec);
+
+		target.postMessage = (data =>
+		{
+			// Messages can't be sent until the socket opens, and anything posted after it closes is dropped.
+			if (socket.readyState === 0 /* CONNECTING */)
+				pending.push(data);
+			else if (socket.readyState === 1 /* OPEN */)
+				socket.send(data);
+		});
+
+		socket.addEventListener("open", OnOpen);
+		socket.addEventListener("message", OnMessage);
+		socket.addEventListener("close", OnClose);
+
+		return (() =>
+		{
+			socket.removeEventListener("open", OnOpen);
+			socket.removeEventListener("message", OnMessage);
+			socket.removeEventListener("close", OnClose);
+		});
+	};
+}
@@ -0,0 +1,60 @@
+"use strict";
+
+// Node.js entry point for the controller side. This loads the controller scripts in the right order, which
+// would otherwise be done with script tags, and adds Via.connectNodeWorker() to connect to a receiver running
+// in a worker_threads Worker. Via.connectWebSocket() is also available to connect over a WebSocket. For example:
+//   const Via = require("./via/node/controller.js");
+//   const worker = new Worker("./worker.js");
+//   Via.connectNodeWorker(worker);
+//   const primes = Via.remote("primes");
+// The receiver side in the worker uses via/node/receiver.js.
+require("../controller/object.js");
+require("../controller/property.js");
+require("../controller/binary.js");
+require("../common/shared-channel.js");
+require("../common/json-codec.js");
+require("../controller/websocket.js");
+
+const Via = require("../controller/controller.js");
+
+// Connect a controller to a receiver in a worker_threads Worker (or on the other end of a MessagePort).
+// This connects the default controller, i.e. Via.postMessage and Via.OnMessage, unless a controller made
+// with Via.createController() is passed. If the worker exits, throws an uncaught exception or the port
+// closes, the connection is closed with a Via.DisconnectedError, as if the heartbeat had timed out.
+// Returns a function which removes the listeners added to the worker, e.g. before terminating it.
+Via.connectNodeWorker = function (worker, controller)
+{
+	const target = controller || Via;
+
+	function OnMessage(data)
+	{
+		target.OnMessage(data);
+	}
+
+	function OnError(err)
+	{
+		target._Disconnect(new Via.DisconnectedError("the worker threw an uncaught exception: " + (err && err.message)));
+	}
+
+	function OnExit(code)
+	{
+		target._Disconnect(new Via.DisconnectedError(typeof code === "number" ? `the worker exited with code ${code}` : "the port was closed"));
+	}
+
+	target.postMessage = ((data, transferList) => worker.postMessage(data, transferList));
+
+	worker.on("message", OnMessage);
+	worker.on("error", OnError);
+	worker.on("exit", OnExit);
+	worker.on("close", OnExit);
+
+	return (() =>
+	{
+		worker.off("message", OnMessage);
+		worker.off("error", OnError);
+		worker.off("exit", OnExit);
+		worker.off("close", OnExit);
+	});
+};
+
+module.exports = Via;
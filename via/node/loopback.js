@@ -0,0 +1,12 @@
+"use strict";
+
+// Node.js entry point for the loopback transport, which loads both the controller and receiver sides so they
+// can run in the same thread, e.g. for tests that don't need a worker. For example:
+//   const ViaLoopback = require("./via/node/loopback.js");
+//   const loopback = ViaLoopback.create({ root: fakeWindow });
+//   loopback.via.document.title = "Hello";
+//   await loopback.settle();
+require("./controller.js");
+require("./receiver.js");
+
+module.exports = require("../common/loopback.js");
@@ -0,0 +1,42 @@
+"use strict";
+
+// Node.js entry point for the receiver side. This loads the receiver scripts in the right order and adds
+// ViaReceiver.connectParentPort() to connect to the controller that created the current worker thread.
+// ViaReceiver.connectWebSocket() is also available to receive commands over a WebSocket.
+// For example, in a worker started with new Worker("./worker.js"):
+//   const ViaReceiver = require("./via/node/receiver.js");
+//   ViaReceiver.expose("primes", { PrimeCalculator });
+//   ViaReceiver.connectParentPort();
+// The controller side uses via/node/controller.js.
+require("../receiver/binary.js");
+require("../common/shared-channel.js");
+require("../common/json-codec.js");
+require("../receiver/websocket.js");
+
+const ViaReceiver = require("../receiver/receiver.js");
+const { parentPort } = require("worker_threads");
+
+// Connect a receiver to the controller on the other end of a MessagePort, which is parentPort by default.
+// This connects the default receiver, i.e. ViaReceiver.postMessage and ViaReceiver.OnMessage, unless a receiver
+// made with ViaReceiver.createReceiver() is passed. Note the listener keeps the worker thread running until
+// the returned function is called to remove it.
+ViaReceiver.connectParentPort = function (port, receiver)
+{
+	port = port || parentPort;
+	if (!port)
+		throw new Error("ViaReceiver.connectParentPort() must be passed a port when not used in a worker thread");
+
+	const target = receiver || ViaReceiver;
+
+	function OnMessage(data)
+	{
+		target.OnMessage(data);
+	}
+
+	target.postMessage = ((data, transferList) => port.postMessage(data, transferList));
+	port.on("message", OnMessage);
+
+	return (() => port.off("message", OnMessage));
+};
+
+module.exports = ViaReceiver;
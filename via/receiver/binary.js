@@ -0,0 +1,240 @@
+"use strict";
+
+{
+	if (!globalThis.ViaReceiver)
+		globalThis.ViaReceiver = {};
+
+	// Decoder for the optional binary encoding of command lists written by via/controller/binary.js.
+	// This decodes the buffer back to the same array format used for commands and arguments, so they can be
+	// run the same way. See the controller side for details of the format.
+
+	const OP_CALL = 0;
+	const OP_SET = 1;
+	const OP_GET = 2;
+	const OP_CONSTRUCT = 3;
+	const OP_CLONED = 255;
+
+	const TAG_UNDEFINED = 0;
+	const TAG_NULL = 1;
+	const TAG_FALSE = 2;
+	const TAG_TRUE = 3;
+	const TAG_INT = 4;
+	const TAG_FLOAT = 5;
+	const TAG_STRING = 6;
+	const TAG_OBJECT = 7;
+	const TAG_CALLBACK = 8;
+	const TAG_PROPERTY = 9;
+	const TAG_ARRAY = 10;
+	const TAG_PLAIN_OBJECT = 11;
+	const TAG_MAP = 12;
+	const TAG_SET = 13;
+	const TAG_VALUE = 14;
+	const TAG_CLONED = 15;
+
+	// The name table starts with the well-known symbols, which are sent in property paths as numbers.
+	const WELL_KNOWN_SYMBOL_COUNT = 13;
+
+	const textDecoder = new TextDecoder();
+
+	ViaReceiver._BinaryDecoder = class ViaBinaryDecoder
+	{
+		constructor()
+		{
+			this._bytes = null;
+			this._view = null;
+			this._pos = 0;
+			this._values = null;
+			this._names = [];				// interned property names, which persist over the whole session
+
+			for (let i = 0; i < WELL_KNOWN_SYMBOL_COUNT; ++i)
+				this._names.push(i);
+		}
+
+		// Decode a buffer and its values list to an array of commands.
+		Decode(buffer, values)
+		{
+			this._bytes = new Uint8Array(buffer);
+			this._view = new DataView(buffer);
+			this._pos = 0;
+			this._values = values;
+
+			const cmds = [];
+			const len = this._bytes.length;
+
+			while (this._pos < len)
+				cmds.push(this._ReadCommand());
+
+			this._bytes = null;
+			this._view = null;
+			this._values = null;
+
+			return cmds;
+		}
+
+		_ReadCommand()
+		{
+			const type = this._ReadByte();
+
+			switch (type) {
+			case OP_CALL:
+			case OP_CONSTRUCT:
+				return [type, this._ReadSignedVarint(), this._ReadPath(), this._ReadArgs(), this._ReadSignedVarint()];
+			case OP_SET:
+				return [type, this._ReadSignedVarint(), this._ReadPath(), this._ReadArg()];
+			case OP_GET:
+				return [type, this._ReadVarint(), this._ReadSignedVarint(), this._ReadNullablePath()];
+			case OP_CLONED:
+				return this._values[this._ReadVarint()];
+			default:
+				throw new Error("invalid binary command type: " + type);
+			}
+		}
+
+		_ReadByte()
+		{
+			return this._bytes[this._pos++];
+		}
+
+		_ReadVarint()
+		{
+			let ret = 0;
+			let multiplier = 1;
+			let b;
+
+			do
+			{
+				b = this._bytes[this._pos++];
+				ret += (b & 127) * multiplier;
+				multiplier *= 128;
+			}
+			while (b & 128);
+
+			return ret;
+		}
+
+		_ReadSignedVarint()
+		{
+			const n = this._ReadVarint();
+			return (n % 2 === 0 ? n / 2 : -(n + 1) / 2);
+		}
+
+		_ReadString()
+		{
+			const length = this._ReadVarint();
+			const ret = textDecoder.decode(this._bytes.subarray(this._pos, this._pos + length));
+			this._pos += length;
+			return ret;
+		}
+
+		_ReadName()
+		{
+			const n = this._ReadVarint();
+
+			if (n > 0)
+				return this._names[n - 1];
+
+			const name = this._ReadString();
+			this._names.push(name);
+			return name;
+		}
+
+		_ReadPath()
+		{
+			const length = this._ReadVarint();
+			const ret = new Array(length);
+
+			for (let i = 0; i < length; ++i)
+				ret[i] = this._ReadName();
+
+			return ret;
+		}
+
+		_ReadNullablePath()
+		{
+			const n = this._ReadVarint();
+
+			if (n === 0)
+				return null;
+
+			const ret = new Array(n - 1);
+
+			for (let i = 0; i < n - 1; ++i)
+				ret[i] = this._ReadName();
+
+			return ret;
+		}
+
+		_ReadArgs()
+		{
+			const length = this._ReadVarint();
+			const ret = new Array(length);
+
+			for (let i = 0; i < length; ++i)
+				ret[i] = this._ReadArg();
+
+			return ret;
+		}
+
+		_ReadArg()
+		{
+			const tag = this._ReadByte();
+
+			switch (tag) {
+			case TAG_UNDEFINED:
+				return [0, undefined];
+			case TAG_NULL:
+				return [0, null];
+			case TAG_FALSE:
+				return [0, false];
+			case TAG_TRUE:
+				return [0, true];
+			case TAG_INT:
+				return [0, this._ReadSignedVarint()];
+			case TAG_FLOAT:
+			{
+				const value = this._view.getFloat64(this._pos);
+				this._pos += 8;
+				return [0, value];
+			}
+			case TAG_STRING:
+				return [0, this._ReadString()];
+			case TAG_OBJECT:
+				return [1, this._ReadSignedVarint()];
+			case TAG_CALLBACK:
+				return [2, this._ReadVarint()];
+			case TAG_PROPERTY:
+				return [3, this._ReadSignedVarint(), this._ReadPath()];
+			case TAG_ARRAY:
+				return [4, this._ReadArgs()];
+			case TAG_PLAIN_OBJECT:
+			{
+				const length = this._ReadVarint();
+				const entries = new Array(length);
+
+				for (let i = 0; i < length; ++i)
+					entries[i] = [this._ReadName(), this._ReadArg()];
+
+				return [5, entries];
+			}
+			case TAG_MAP:
+			{
+				const length = this._ReadVarint();
+				const entries = new Array(length);
+
+				for (let i = 0; i < length; ++i)
+					entries[i] = [this._ReadArg(), this._ReadArg()];
+
+				return [6, entries];
+			}
+			case TAG_SET:
+				return [7, this._ReadArgs()];
+			case TAG_VALUE:
+				return [0, this._values[this._ReadVarint()]];
+			case TAG_CLONED:
+				return this._values[this._ReadVarint()];
+			default:
+				throw new Error("invalid binary arg tag: " + tag);
+			}
+		}
+	};
+}
@@ -1,244 +1,1862 @@
 "use strict";
 
 {
-	// Namespace for receiver side (which receives calls from the controller side)
-	self.ViaReceiver = {};
+	// Namespace for receiver side (which receives calls from the controller side). As with the controller,
+	// this uses globalThis so the receiver also works outside browsers, e.g. in a Node.js worker thread.
+	if (!globalThis.ViaReceiver)
+		globalThis.ViaReceiver = {};
 	
-	// The master map of object ID to the real object. Object ID 0 is always the global object on
-	// the receiver (i.e. window or self). IDs are removed by cleanup messages, which are sent
-	// by the controller when the Proxy with that ID is garbage collected (which requires WeakCell
-	// support), indicating it cannot be used any more. This is important to avoid a memory leak,
-	// since if the IDs are left behind they will prevent the associated object being collected.
-	const idMap = new Map([[0, self]]);
-	
-	// Some objects are allocated an ID here on the receiver side, when running callbacks with
-	// object parameters. To avoid ID collisions with the controller, receiver object IDs are
-	// negative and decrement, and controller object IDs are positive and increment.
-	let nextObjectId = -1;
-	
-	// Get the real object from an ID.
-	function IdToObject(id)
+	function IsThenable(o)
 	{
-		const ret = idMap.get(id);
+		if (o instanceof Promise)
+			return true;
 		
-		if (typeof ret === "undefined")
-			throw new Error("missing object id: " + id);
+		if (o === null || (typeof o !== "object" && typeof o !== "function"))
+			return false;
 		
-		return ret;
+		// Accessing properties on some objects can throw, e.g. cross-origin windows
+		try
+		{
+			return typeof o.then === "function";
+		}
+		catch (err)
+		{
+			return false;
+		}
 	}
 	
-	// Allocate new ID for an object on the receiver side.
-	// The receiver uses negative IDs to prevent ID collisions with the controller.
-	function ObjectToId(object)
+	// Blob and ImageData don't exist outside browsers (e.g. in Node.js), so only check for them if they do.
+	const BlobType = (typeof Blob === "function" ? Blob : null);
+	const ImageDataType = (typeof ImageData === "function" ? ImageData : null);
+	
+	function CanStructuredClone(o)
 	{
-		const id = nextObjectId--;
-		idMap.set(id, object);
-		return id;
+		const type = typeof o;
+		return type === "undefined" || o === null || type === "boolean" || type === "number" || type === "string" ||
+				(o instanceof ArrayBuffer) || ArrayBuffer.isView(o) ||
+				(BlobType !== null && o instanceof BlobType) || (ImageDataType !== null && o instanceof ImageDataType);
 	}
 	
-	// Get the real value from an ID and a property path, e.g. object ID 0, path ["document", "title"]
-	// will return window.document.title.
-	function IdToObjectProperty(id, path)
+	// Marker for a value to be transferred rather than copied when posted to the controller,
+	// as returned by ViaReceiver.transfer().
+	class TransferValue
 	{
-		const ret = idMap.get(id);
-		
-		if (typeof ret === "undefined")
-			throw new Error("missing object id: " + id);
-		
-		let base = ret;
-		
-		for (let i = 0, len = path.length; i < len; ++i)
-			base = base[path[i]];
-		
-		return base;
+		constructor(value, transferList)
+		{
+			this.value = value;
+			this.transferList = transferList;
+		}
 	}
 	
-	function CanStructuredClone(o)
+	// Typed arrays and DataViews transfer their underlying ArrayBuffer; anything else transfers itself.
+	function GetDefaultTransferable(value)
 	{
-		const type = typeof o;
-		return type === "undefined" || o === null || type === "boolean" || type === "number" || type === "string" ||
-				(o instanceof Blob) || (o instanceof ArrayBuffer) || (o instanceof ImageData);
+		return (ArrayBuffer.isView(value) ? value.buffer : value);
 	}
 	
-	// Wrap an argument. This is used for sending values back to the controller. Anything that can be directly
-	// posted is sent as-is, but any kind of object is represented by its object ID instead.
-	function WrapArg(arg)
+	// Mark a value to be transferred to the controller instead of copied. This can be returned from functions
+	// called by the controller, or passed to callback shims, e.g. callback(ViaReceiver.transfer(arrayBuffer)).
+	// Optionally a list of objects to transfer can be passed, e.g. if the value is an object containing several buffers.
+	ViaReceiver.transfer = function (value, transferList)
+	{
+		return new TransferValue(value, transferList || [GetDefaultTransferable(value)]);
+	};
+	
+	// Convert a thrown value to a plain object that can be posted to the controller.
+	// Note scripts can throw anything, not just Error objects.
+	function SerializeError(err)
 	{
-		if (CanStructuredClone(arg))
+		if (err instanceof Error)
 		{
-			return [0 /* primitive */, arg];
+			return {
+				"name": err.name,
+				"message": err.message,
+				"stack": err.stack || ""
+			};
 		}
 		else
 		{
-			return [1 /* object */, ObjectToId(arg)];
+			return {
+				"name": "Error",
+				"message": String(err),
+				"stack": ""
+			};
 		}
 	}
 	
-	// Get a shim function for a given callback ID. This creates a new function that forwards the
-	// call with its arguments to the controller, where it will run the real callback.
-	// Callback functions are not re-used to allow them to be garbage collected normally.
-	function GetCallbackShim(id)
+	const commandNames = ["call", "set", "get", "construct", "delete", "has", "keys", "typeof", "instanceof", "iterator", "next", "same", "remote"];
+	
+	// Well-known symbols are sent in property paths as their index in this list, since symbols can't be posted.
+	// This must match the list on the controller.
+	const wellKnownSymbols = ["asyncIterator", "hasInstance", "isConcatSpreadable", "iterator", "match", "matchAll",
+							  "replace", "search", "species", "split", "toPrimitive", "toStringTag", "unscopables"].map(name => Symbol[name]);
+	
+	// Get the real property key from a key in a property path.
+	function DecodeKey(key)
+	{
+		return (typeof key === "number" ? wellKnownSymbols[key] : key);
+	}
+	
+	// Objects and functions can be kept in a WeakMap, unlike primitive values.
+	function IsObject(o)
 	{
-		return ((...args) => ViaReceiver.postMessage({
-			"type": "callback",
-			"id": id,
-			"args": args.map(WrapArg)
-		}));
+		return o !== null && (typeof o === "object" || typeof o === "function");
+	}
+	
+	// Create an iterator for an object, preferring an async iterator if it has one.
+	function GetIterator(o)
+	{
+		const method = o[Symbol.asyncIterator] || o[Symbol.iterator];
+		if (typeof method !== "function")
+			throw new TypeError("object is not iterable");
+		
+		return method.call(o);
 	}
 	
-	// Unwrap an argument sent from the controller. Arguments are transported as small arrays indicating
-	// the type and any object IDs/property paths, so they can be looked up on the receiver side.
-	function UnwrapArg(arr)
+	// Read up to count items from an async iterator, starting with the promise for the first result.
+	async function ReadAsyncIterator(iterator, firstResult, count, items)
 	{
-		switch (arr[0])	{
-		case 0:		// primitive
-			return arr[1];
-		case 1:		// object
-			return IdToObject(arr[1]);
-		case 2:		// callback
-			return GetCallbackShim(arr[1]);
-		case 3:		// object property
-			return IdToObjectProperty(arr[1], arr[2]);
-		default:
-			throw new Error("invalid arg type");
+		let result = await firstResult;
+		
+		while (!result.done)
+		{
+			items.push(result.value);
+			
+			if (items.length === count)
+				return;
+			
+			result = await iterator.next();
 		}
 	}
 	
-	// Called when receiving a message from the controller.
-	ViaReceiver.OnMessage = function (data)
+	// Error representing an exception thrown by a controller callback using Via.callback() with the async option,
+	// which rejects the promise returned by its shim. The name, message and stack of the original error are preserved.
+	ViaReceiver.CallbackError = class ViaCallbackError extends Error
 	{
-		switch (data.type) {
-		case "cmds":
-			OnCommandsMessage(data);
-			break;
-		case "cleanup":
-			OnCleanupMessage(data);
-			break;
-		default:
-			console.error("Unknown message type: " + data.type);
-			break;
+		constructor(data)
+		{
+			super(`${data.name}: ${data.message} (in controller callback)`);
+			
+			this.name = "ViaCallbackError";
+			this.remoteName = data.name;
+			this.remoteMessage = data.message;
+			this.remoteStack = data.stack;
 		}
 	};
-
-	function OnCommandsMessage(data)
+	
+	// Error thrown when a command is rejected by a receiver's access policy. This is reported back to the controller
+	// like any other failed command, with the remote name "ViaPolicyError".
+	ViaReceiver.PolicyError = class ViaPolicyError extends Error
 	{
-		const getResults = [];		// list of values requested to pass back to controller
+		constructor(message)
+		{
+			super(message);
+			
+			this.name = "ViaPolicyError";
+		}
+	};
+	
+	// Compiled form of the policy passed to createReceiver() or setPolicy(), which restricts what the controller
+	// can access. Paths in the policy are strings like "document.cookie", and are resolved against the root object
+	// when the policy is set, so rules apply to the real objects wherever they are reached from, e.g. denying
+	// "document.cookie" also denies via.window.document.cookie. Paths starting "*." name a property on any object,
+	// e.g. "*.innerHTML". Denied paths also deny their values by identity, so denying "Function" also prevents
+	// reaching it via something like via.Array.constructor. With an allow list, the root and global object are
+	// denied by identity too, so they can't be reached again via something like document.defaultView.
+	class Policy
+	{
+		constructor(root, options)
+		{
+			this._root = root;
+			this._allow = (options["allow"] ? options["allow"].map(path => path.split(".")) : null);
+			this._denied = new PropertyRules(root, options["deny"]);
+			this._deniedValues = new Map();			// map of denied value -> path
+			this._isReadOnly = (options["readOnly"] === true);
+			this._readOnly = new PropertyRules(root, (Array.isArray(options["readOnly"]) ? options["readOnly"] : null));
+			this._writable = new PropertyRules(root, options["writable"]);
+			this._constructors = null;				// set of allowed constructors, or null if all are allowed
+			
+			for (const path of options["deny"] || [])
+			{
+				const value = ResolvePolicyPath(root, path);
+				if (IsObject(value))
+					this._deniedValues.set(value, path);
+			}
+			
+			// Also resolve the built-in denials from the root if it's the global object of another realm, e.g.
+			// an iframe's window.
+			const globals = (root !== globalThis && ResolvePolicyPath(root, "globalThis") === root ? [globalThis, root] : [globalThis]);
+			
+			for (const global of globals)
+			{
+				for (const [value, path] of GetBuiltInDeniedValues(global))
+				{
+					if (IsObject(value) && !this._deniedValues.has(value))
+						this._deniedValues.set(value, path);
+				}
+			}
+			
+			if (options["constructors"])
+			{
+				this._constructors = new Set();
+				
+				for (const path of options["constructors"])
+				{
+					const value = ResolvePolicyPath(root, path);
+					if (typeof value === "function")
+						this._constructors.add(value);
+				}
+			}
+		}
+		
+		// Check the object that a command starts from. Commands on the root object must use a path that starts
+		// with one of the allowed paths, if there is an allow list. Note a null path means the root itself.
+		CheckStart(objectId, obj, path)
+		{
+			if (objectId !== 0 || !this._allow)
+			{
+				this.CheckValue(obj);
+				return;
+			}
+			
+			if (path !== null && this._allow.some(allowPath => allowPath.every((name, i) => path[i] === name)))
+				return;
+			
+			throw new ViaReceiver.PolicyError(`'${path === null ? "<root>" : path.join(".")}' is not in the receiver's allow list`);
+		}
+		
+		// Check a property can be read from (or called on) an object.
+		CheckProperty(obj, key)
+		{
+			const path = this._denied.Find(obj, key);
+			if (typeof path === "string")
+				throw new ViaReceiver.PolicyError(`'${path}' is denied by the receiver's policy`);
+		}
 		
-		// Run all sent commands
-		for (const cmd of data.cmds)
+		// Check a value can be used.
+		CheckValue(value)
 		{
-			RunCommand(cmd, getResults);
+			if (!IsObject(value))
+				return;
+			
+			if (this._allow && (value === this._root || value === globalThis))
+				throw new ViaReceiver.PolicyError(`the ${value === this._root ? "root" : "global"} object is not in the receiver's allow list`);
+			
+			const path = this._deniedValues.get(value);
+			if (typeof path === "string")
+				throw new ViaReceiver.PolicyError(`'${path}' is denied by the receiver's policy`);
 		}
 		
-		// Post back that we're done (so the flush promise resolves), and pass along any get values.
-		ViaReceiver.postMessage({
-			"type": "done",
-			"flushId": data.flushId,
-			"getResults": getResults
-		});
+		// Check a property can be set or deleted.
+		CheckWrite(obj, key)
+		{
+			this.CheckProperty(obj, key);
+			
+			const path = this._readOnly.Find(obj, key);
+			if (typeof path === "string")
+				throw new ViaReceiver.PolicyError(`'${path}' is read-only in the receiver's policy`);
+			
+			if (this._isReadOnly && typeof this._writable.Find(obj, key) !== "string")
+				throw new ViaReceiver.PolicyError(`property '${String(key)}' is read-only in the receiver's policy`);
+		}
+		
+		// Check a function can be used as a constructor.
+		CheckConstruct(func)
+		{
+			if (this._constructors && !this._constructors.has(func))
+				throw new ViaReceiver.PolicyError(`'${typeof func === "function" ? func.name : String(func)}' is not an allowed constructor in the receiver's policy`);
+		}
 	}
 	
-	function RunCommand(arr, getResults)
+	// Paths to built-in functions that get around the policy, which are always denied when there is a policy.
+	// Function and eval run arbitrary code, and every function can reach Function through its constructor
+	// property. Reflect.set() could write a read-only property, and Object.getOwnPropertyDescriptor() could
+	// reach a denied getter.
+	const builtInDeniedPaths = ["Function", "eval", "Reflect", "Object.getOwnPropertyDescriptor",
+								"Object.getOwnPropertyDescriptors", "Object.defineProperty", "Object.defineProperties",
+								"Object.assign", "Object.prototype.__lookupGetter__", "Object.prototype.__lookupSetter__",
+								"Object.prototype.__defineGetter__", "Object.prototype.__defineSetter__"];
+	
+	// Get the values of the built-in denials in a global object's realm, as [value, path] pairs. The async and
+	// generator function constructors aren't globals, so they're reached from a function of each kind.
+	function GetBuiltInDeniedValues(global)
 	{
-		const type = arr[0];
+		const ret = builtInDeniedPaths.map(path => [ResolvePolicyPath(global, path), path]);
+		let functions = null;
 		
-		switch (type) {
-		case 0:		// call
-			ViaCall(arr[1], arr[2], arr[3], arr[4]);
-			break;
-		case 1:		// set
-			ViaSet(arr[1], arr[2], arr[3]);
-			break;
-		case 2:		// get
-			ViaGet(arr[1], arr[2], arr[3], getResults);
-			break;
-		case 3:		// constructor
-			ViaConstruct(arr[1], arr[2], arr[3], arr[4]);
-			break;
-		default:
-			throw new Error("invalid cmd type: " + type);
+		if (global === globalThis)
+		{
+			functions = [async function () {}, function* () {}, async function* () {}];
 		}
+		else
+		{
+			// Functions from another realm can only be made by running code there, which may not be allowed.
+			try
+			{
+				functions = global.Function("return [async function () {}, function* () {}, async function* () {}]")();
+			}
+			catch (err)
+			{
+				return ret;
+			}
+		}
+		
+		ret.push([functions[0].constructor, "AsyncFunction"], [functions[1].constructor, "GeneratorFunction"],
+				 [functions[2].constructor, "AsyncGeneratorFunction"]);
+		return ret;
 	}
 	
-	function ViaCall(objectId, path, argsData, returnObjectId)
+	// A list of property rules from a policy. Each rule is either a property of a specific object, or with a "*."
+	// prefix, a property name on any object. Finding a rule returns its path as written in the policy.
+	class PropertyRules
 	{
-		const obj = IdToObject(objectId);
-		const args = argsData.map(UnwrapArg);
-		const methodName = path[path.length - 1];
-		
-		let base = obj;
-		
-		for (let i = 0, len = path.length - 1; i < len; ++i)
+		constructor(root, paths)
 		{
-			base = base[path[i]];
+			this._objectRules = new Map();			// map of object -> map of property name -> path
+			this._nameRules = new Map();			// map of property name -> path
+			
+			for (const path of paths || [])
+			{
+				const parts = path.split(".");
+				const name = parts.pop();
+				
+				if (parts.length === 1 && parts[0] === "*")
+				{
+					this._nameRules.set(name, path);
+					continue;
+				}
+				
+				const obj = ResolvePolicyPath(root, parts.join("."));
+				if (!IsObject(obj))
+					continue;
+				
+				let names = this._objectRules.get(obj);
+				if (!names)
+				{
+					names = new Map();
+					this._objectRules.set(obj, names);
+				}
+				
+				names.set(name, path);
+			}
 		}
 		
-		const ret = base[methodName](...args);
-		idMap.set(returnObjectId, ret);
+		Find(obj, key)
+		{
+			const path = this._nameRules.get(key);
+			if (typeof path === "string")
+				return path;
+			
+			const names = this._objectRules.get(obj);
+			return (names ? names.get(key) : undefined);
+		}
 	}
 	
-	function ViaConstruct(objectId, path, argsData, returnObjectId)
+	// Get the value of a path in a policy, e.g. "document.body", or undefined if it can't be read.
+	// An empty path means the root itself.
+	function ResolvePolicyPath(root, path)
 	{
-		const obj = IdToObject(objectId);
-		const args = argsData.map(UnwrapArg);
-		const methodName = path[path.length - 1];
+		if (path === "")
+			return root;
 		
-		let base = obj;
-		
-		for (let i = 0, len = path.length - 1; i < len; ++i)
+		try
 		{
-			base = base[path[i]];
+			let o = root;
+			
+			for (const name of path.split("."))
+			{
+				if (!IsObject(o))
+					return undefined;
+				
+				o = o[name];
+			}
+			
+			return o;
+		}
+		catch (err)
+		{
+			// Some properties throw when read, e.g. localStorage in some contexts.
+			return undefined;
 		}
-		
-		const ret = new base[methodName](...args);
-		idMap.set(returnObjectId, ret);
 	}
 	
-	function ViaSet(objectId, path, valueData)
+	// Apply the options from Via.callback() when a callback shim is invoked. These have to happen synchronously,
+	// e.g. preventDefault() must be called before the event finishes dispatching. The options apply to the first
+	// argument (normally an event), and only if it matches every property of the 'when' condition, if any.
+	// The properties read by the condition are subject to the receiver's policy, if it has one.
+	function ApplyCallbackOptions(options, e, policy)
 	{
-		const obj = IdToObject(objectId);
-		const value = UnwrapArg(valueData);
-		const propertyName = path[path.length - 1];
+		if (e === null || typeof e !== "object")
+			return;
 		
-		let base = obj;
+		if (options["when"])
+		{
+			for (const [key, value] of Object.entries(options["when"]))
+			{
+				if (policy !== null)
+					policy.CheckProperty(e, key);
+				
+				if (!Object.is(e[key], value))
+					return;
+			}
+		}
+		
+		if (options["preventDefault"])
+			e.preventDefault();
+		
+		if (options["stopPropagation"])
+			e.stopPropagation();
 		
-		for (let i = 0, len = path.length - 1; i < len; ++i)
+		if (options["stopImmediatePropagation"])
+			e.stopImmediatePropagation();
+	}
+	
+	// Read a property path for a callback snapshot, e.g. "target.value". Returns undefined if any
+	// part of the path is null or undefined, rather than throwing. Each property read is subject to the
+	// receiver's policy, if it has one.
+	function ReadSnapshotPath(o, path, policy)
+	{
+		for (const name of path.split("."))
 		{
-			base = base[path[i]];
+			if (o === null || typeof o === "undefined")
+				return undefined;
+			
+			if (policy !== null)
+				policy.CheckProperty(o, name);
+			
+			o = o[name];
+			
+			if (policy !== null)
+				policy.CheckValue(o);
 		}
 		
-		base[propertyName] = value;
+		return o;
 	}
 	
-	function ViaGet(getId, objectId, path, getResults)
+	// Create a receiver, which has its own map of object IDs, callback shims and so on, for handling the messages
+	// from one controller. This allows several independent Via connections, e.g. a worker controlled by both a page
+	// and another worker. Pass { postMessage } to set the function used to post messages back to the controller
+	// (or assign receiver.postMessage later), and optionally { root } to set the object that the controller's
+	// 'via' object represents, which defaults to the global object, { policy } to restrict what the controller
+	// can access (see receiver.setPolicy()), { timeBudget } to limit how long commands run for at once (see
+	// receiver.setTimeBudget()), { frameSync } to run commands in animation frames (see receiver.setFrameSync()),
+	// and { codec } to encode and decode messages (see receiver.setCodec()).
+	// Pass messages from the controller to receiver.OnMessage().
+	ViaReceiver.createReceiver = function (options)
+	{
+		return CreateReceiver(options || {});
+	};
+	
+	function CreateReceiver(options)
 	{
-		const obj = IdToObject(objectId);
+		const receiver = {
+			postMessage: options.postMessage || null
+		};
+		
+		let root = ("root" in options ? options.root : globalThis);
+		
+		// The master map of object ID to the real object. Object ID 0 is always the global object on
+		// the receiver (i.e. window or self, unless a different root was given). IDs are removed by
+		// cleanup messages, which are sent by the controller when the Proxy with that ID is garbage
+		// collected (which requires FinalizationRegistry support) or released, indicating it cannot be
+		// used any more. This is important to avoid a memory leak, since if the IDs are left behind
+		// they will prevent the associated object being collected.
+		const idMap = new Map([[0, root]]);
+		
+		// Some objects are allocated an ID here on the receiver side, when running callbacks with
+		// object parameters. To avoid ID collisions with the controller, receiver object IDs are
+		// negative and decrement, and controller object IDs are positive and increment.
+		let nextObjectId = -1;
+		
+		// The same object is always sent to the controller with the same ID while the ID is still in use, so the
+		// controller can re-use the same Via object for it. Each ID counts how many times it has been given to the
+		// controller, including when the controller created it. Cleanup messages from the controller include how many
+		// times it received the ID, and the ID is only dropped once all uses are accounted for, since the controller
+		// may have collected its Via object while the same ID was still in flight from the receiver.
+		let objectIds = new WeakMap();			// map of object -> object ID
+		const useCounts = new Map([[0, 1]]);	// map of object ID -> use count
+		
+		if (IsObject(root))
+			objectIds.set(root, 0);
+		
+		// Objects made available to the controller by name with expose(), which it accesses with Via.remote(name).
+		const exposedObjects = new Map();		// map of name -> object
+		
+		// The access policy, if any, which is checked by every command. See setPolicy().
+		let policy = null;
+		
+		// If a command that returns an object fails, its return object ID is "poisoned": it maps to the
+		// serialized error instead of an object. This means later commands using that ID fail with an error
+		// explaining the original cause, rather than just "missing object id". These are removed by cleanup
+		// messages the same way as idMap entries.
+		const poisonedIds = new Map();
+		
+		// Calls which return a promise (or any thenable) don't store the promise itself in idMap. Instead the ID
+		// is pending until the promise settles, and then refers to the resolved value, or is poisoned if it rejects.
+		// This means placeholders act like the eventual value, e.g. via.fetch(url).text() works as expected.
+		// Any command using a pending ID pauses running commands until it settles, so commands still run in order.
+		const pendingIds = new Map();		// map of object ID -> promise that resolves when ID has settled
 		
-		if (path === null)
+		// Get the real object from an ID.
+		function IdToObject(id)
 		{
-			getResults.push([getId, WrapArg(obj)]);
-			return;
+			const ret = idMap.get(id);
+			
+			// Note calls can return undefined, so check the ID is really missing
+			if (typeof ret === "undefined" && !idMap.has(id))
+			{
+				const poisonInfo = poisonedIds.get(id);
+				if (poisonInfo)
+				{
+					const reason = (poisonInfo.isRejection ? "its promise was rejected" : "the command that created it failed");
+					throw new Error(`object id ${id} is unavailable because ${reason}: ${poisonInfo.name}: ${poisonInfo.message}`);
+				}
+				
+				throw new Error("missing object id: " + id);
+			}
+			
+			return ret;
 		}
 		
-		const propertyName = path[path.length - 1];
+		// Get the ID for an object on the receiver side, allocating a new ID if it doesn't have one.
+		// The receiver uses negative IDs to prevent ID collisions with the controller.
+		function ObjectToId(object)
+		{
+			let id = objectIds.get(object);
+			
+			if (typeof id === "number")
+			{
+				useCounts.set(id, useCounts.get(id) + 1);
+				return id;
+			}
+			
+			id = nextObjectId--;
+			idMap.set(id, object);
+			objectIds.set(object, id);
+			useCounts.set(id, 1);
+			return id;
+		}
 		
-		let base = obj;
+		// Store the value returned by a call or construct command under its return object ID. Thenables make
+		// the ID pending until they settle.
+		function SetReturnValue(id, value)
+		{
+			if (!IsThenable(value))
+			{
+				if (policy !== null)
+					policy.CheckValue(value);
+				
+				SetObject(id, value);
+				return;
+			}
+			
+			// The resolved value is checked against the policy too, which rejects like the promise did.
+			let promise = Promise.resolve(value);
+			
+			if (policy !== null)
+			{
+				promise = promise.then(result =>
+				{
+					if (policy !== null)
+						policy.CheckValue(result);
+					
+					return result;
+				});
+			}
+			
+			const settled = promise.then(result =>
+			{
+				// Ignore the result if the ID was cleaned up while waiting
+				if (pendingIds.get(id) !== settled)
+					return;
+				
+				pendingIds.delete(id);
+				SetObject(id, result);
+			}, err =>
+			{
+				if (pendingIds.get(id) !== settled)
+					return;
+				
+				pendingIds.delete(id);
+				
+				const info = SerializeError(err);
+				info["isRejection"] = true;
+				poisonedIds.set(id, info);
+			});
+			
+			pendingIds.set(id, settled);
+		}
 		
-		for (let i = 0, len = path.length - 1; i < len; ++i)
+		// Get the real value from an ID and a property path, e.g. object ID 0, path ["document", "title"]
+		// will return window.document.title. A null path returns the object itself.
+		function IdToObjectProperty(id, path)
 		{
-			base = base[path[i]];
+			if (path === null)
+			{
+				const obj = IdToObject(id);
+				
+				if (policy !== null)
+					policy.CheckStart(id, obj, path);
+				
+				return obj;
+			}
+			
+			return GetProperty(GetPathBase(id, path), DecodeKey(path[path.length - 1]));
 		}
 		
-		const value = base[propertyName];
-		getResults.push([getId, WrapArg(value)]);
-	}
+		// Get the object that the last part of a property path belongs to, e.g. object ID 0, path
+		// ["document", "body", "appendChild"] will return window.document.body.
+		function GetPathBase(id, path)
+		{
+			let base = IdToObject(id);
+			
+			if (policy !== null)
+				policy.CheckStart(id, base, path);
+			
+			for (let i = 0, len = path.length - 1; i < len; ++i)
+				base = GetProperty(base, DecodeKey(path[i]));
+			
+			return base;
+		}
+		
+		// Read a property, checking the policy allows both the property and its value.
+		function GetProperty(obj, key)
+		{
+			if (policy === null)
+				return obj[key];
+			
+			policy.CheckProperty(obj, key);
+			const ret = obj[key];
+			policy.CheckValue(ret);
+			return ret;
+		}
+		
+		// When a call returns a value marked for transfer, the real value is stored in idMap, and this map
+		// remembers its transfer list for when it is next sent to the controller (e.g. by a get command).
+		const pendingTransfers = new WeakMap();		// map of object -> transfer list
+		
+		// Store an object under an ID, unwrapping any transfer marker.
+		function SetObject(id, value)
+		{
+			if (value instanceof TransferValue)
+			{
+				if (typeof value.value === "object" && value.value !== null)
+					pendingTransfers.set(value.value, value.transferList);
+				
+				value = value.value;
+			}
+			
+			idMap.set(id, value);
+			useCounts.set(id, 1);
+			
+			// If the object already has a different ID, keep using that one.
+			if (IsObject(value) && !objectIds.has(value))
+				objectIds.set(value, id);
+		}
+		
+		// Wrap an argument. This is used for sending values back to the controller. Anything that can be directly
+		// posted is sent as-is, but any kind of object is represented by its object ID instead. Any objects to be
+		// transferred are added to the given transfer set.
+		function WrapArg(arg, transferSet)
+		{
+			if (arg instanceof TransferValue)
+			{
+				for (const o of arg.transferList)
+					transferSet.add(o);
+				
+				return [0 /* primitive */, arg.value];
+			}
+			
+			// Values can only be transferred once, so remove from pending transfers when sending.
+			const transferList = pendingTransfers.get(arg);
+			if (transferList)
+			{
+				pendingTransfers.delete(arg);
+				
+				for (const o of transferList)
+					transferSet.add(o);
+				
+				return [0 /* primitive */, arg];
+			}
+			
+			if (CanStructuredClone(arg))
+			{
+				return [0 /* primitive */, arg];
+			}
+			else
+			{
+				return [1 /* object */, ObjectToId(arg)];
+			}
+		}
+		
+		// Shims for callbacks with the async option return a promise, which is settled when the controller sends back
+		// a callback-return message with the same call ID.
+		let nextCallId = 0;
+		let sessionStartCallId = 0;			// first call ID since the controller last closed the connection
+		const pendingCalls = new Map();		// map of call ID -> { resolve, reject }
+		
+		// Wrap the first argument of a callback with the snapshot option, copying the values of the given property
+		// paths. The argument itself is also wrapped, unless the callback doesn't need it, which avoids allocating
+		// an object ID for it.
+		
+		function WrapSnapshotArg(arg, options, transferSet)
+		{
+			const entries = options["snapshot"].map(path => [path, WrapArg(ReadSnapshotPath(arg, path, policy), transferSet)]);
+			const liveData = (options["live"] === false ? null : WrapArg(arg, transferSet));
+			return [8 /* snapshot */, liveData, entries];
+		}
+		
+		// Callback shims are re-used for the same callback ID, so passing the same function to both
+		// addEventListener and removeEventListener on the controller passes the same shim on the receiver.
+		// The shims are only held weakly, so they can still be garbage collected normally. Each entry counts
+		// how many times its callback ID was received from the controller. When the shim is collected, that
+		// count is posted back in a cleanup message, and once the controller has seen the count match the number
+		// of times it sent the ID, it knows there are no uses left in flight and can drop the callback as well.
+		const callbackShims = new Map();		// map of callback ID -> { ref, useCount }
+		
+		const callbackRegistry = (typeof FinalizationRegistry === "undefined" ? null : new FinalizationRegistry(FinalizeCallbackShim));
+		
+		// Batch together callback cleanups the same way the controller batches object ID cleanups.
+		let callbackCleanupTimerId = -1;
+		const callbackCleanupIntervalMs = 10;
+		const callbackCleanupQueue = [];		// list of [callback ID, use count]
+		
+		function FinalizeCallbackShim(entry)
+		{
+			// Shims from a closed connection were already dropped.
+			if (entry.session !== session)
+				return;
+			
+			// A new shim may already have been created for the same ID if the old one was collected
+			// before this finalizer ran. Only remove the map entry if it's still the collected one.
+			if (callbackShims.get(entry.id) === entry)
+				callbackShims.delete(entry.id);
+			
+			callbackCleanupQueue.push([entry.id, entry.useCount]);
+			
+			if (callbackCleanupTimerId === -1)
+				callbackCleanupTimerId = setTimeout(CleanupCallbacks, callbackCleanupIntervalMs);
+		}
+		
+		function CleanupCallbacks()
+		{
+			callbackCleanupTimerId = -1;
+			
+			PostMessage({
+				"type": "cleanup-callbacks",
+				"callbacks": callbackCleanupQueue
+			});
+			
+			callbackCleanupQueue.length = 0;
+		}
+		
+		// Count a use of each callback ID in a command's arguments before running it, rather than when each argument
+		// is unwrapped, so the counts still match what the controller sent if the command fails part way through, e.g.
+		// when resolving its path throws. Shims the failed command never used are then collected and cleaned up as normal.
+		function AddCallbackUses(cmd)
+		{
+			switch (cmd[0]) {
+			case 0:		// call
+			case 3:		// construct
+				for (const argData of cmd[3])
+					AddCallbackUsesForArg(argData);
+				break;
+			case 1:		// set
+				AddCallbackUsesForArg(cmd[3]);
+				break;
+			case 8:		// instanceof
+			case 11:	// same
+				AddCallbackUsesForArg(cmd[4]);
+				break;
+			}
+		}
+		
+		function AddCallbackUsesForArg(arr)
+		{
+			switch (arr[0]) {
+			case 2:		// callback
+				AddCallbackUse(arr[1], arr[2]);
+				break;
+			case 4:		// array
+			case 7:		// set
+				for (const item of arr[1])
+					AddCallbackUsesForArg(item);
+				break;
+			case 5:		// plain object
+				for (const entry of arr[1])
+					AddCallbackUsesForArg(entry[1]);
+				break;
+			case 6:		// map
+				for (const [k, v] of arr[1])
+				{
+					AddCallbackUsesForArg(k);
+					AddCallbackUsesForArg(v);
+				}
+				break;
+			}
+		}
+		
+		// Get the shim for a callback ID when unwrapping an argument. Its use was already counted by AddCallbackUses(),
+		// which also keeps the shim alive until the command has run.
+		function GetCallbackShim(id)
+		{
+			const entry = callbackShims.get(id);
+			const shim = (entry ? entry.ref.deref() : undefined);
+			
+			if (!shim)
+				throw new Error("missing callback id: " + id);
+			
+			return shim;
+		}
+		
+		// Count a use of a callback ID, creating a shim function for it if it doesn't have one. The shim forwards the
+		// call with its arguments to the controller, where it will run the real callback. The same shim is used for the
+		// same ID for as long as it is still alive. Callbacks from Via.callback() also have options, which are
+		// always the same for the same ID.
+		function AddCallbackUse(id, options)
+		{
+			let entry = callbackShims.get(id);
+			let shim = (entry ? entry.ref.deref() : undefined);
+			
+			if (shim)
+			{
+				entry.useCount++;
+				return shim;
+			}
+			
+			const shimSession = session;
+			
+			shim = ((...args) =>
+			{
+				// Shims from a closed connection do nothing, since the controller has dropped their callbacks.
+				if (shimSession !== session)
+					return (options && options["async"] ? Promise.reject(new Error("the Via connection was closed")) : undefined);
+				
+				if (options)
+					ApplyCallbackOptions(options, args[0], policy);
+				
+				const transferSet = new Set();
+				const hasSnapshot = !!(options && options["snapshot"]);
+				
+				const message = {
+					"type": "callback",
+					"id": id,
+					"args": args.map((arg, i) => (i === 0 && hasSnapshot ? WrapSnapshotArg(arg, options, transferSet) : WrapArg(arg, transferSet)))
+				};
+				
+				if (!options || !options["async"])
+				{
+					PostMessage(message, Array.from(transferSet));
+					return;
+				}
+				
+				const callId = nextCallId++;
+				message["callId"] = callId;
+				
+				const ret = new Promise((resolve, reject) => pendingCalls.set(callId, { resolve, reject }));
+				PostMessage(message, Array.from(transferSet));
+				return ret;
+			});
+			
+			// Without FinalizationRegistry support shims are held strongly and never cleaned up.
+			if (callbackRegistry)
+			{
+				entry = { id, ref: new WeakRef(shim), useCount: 1, session };
+				callbackRegistry.register(shim, entry);
+			}
+			else
+			{
+				entry = { id, ref: { deref: () => shim }, useCount: 1, session };
+			}
+			
+			callbackShims.set(id, entry);
+			return shim;
+		}
+		
+		// Unwrap an argument sent from the controller. Arguments are transported as small arrays indicating
+		// the type and any object IDs/property paths, so they can be looked up on the receiver side.
+		function UnwrapArg(arr)
+		{
+			switch (arr[0])	{
+			case 0:		// primitive
+				return arr[1];
+			case 1:		// object
+			{
+				const obj = IdToObject(arr[1]);
+				
+				if (policy !== null)
+					policy.CheckValue(obj);
+				
+				return obj;
+			}
+			case 2:		// callback
+				return GetCallbackShim(arr[1]);
+			case 3:		// object property
+				return IdToObjectProperty(arr[1], arr[2]);
+			case 4:		// array
+				return arr[1].map(UnwrapArg);
+			case 5:		// plain object
+				return Object.fromEntries(arr[1].map(([k, v]) => [k, UnwrapArg(v)]));	// note fromEntries safely handles "__proto__" keys
+			case 6:		// map
+				return new Map(arr[1].map(([k, v]) => [UnwrapArg(k), UnwrapArg(v)]));
+			case 7:		// set
+				return new Set(arr[1].map(UnwrapArg));
+			default:
+				throw new Error("invalid arg type");
+			}
+		}
+		
+		// Codec used to encode messages posted to the controller and decode those received from it, if any.
+		let codec = null;
+		
+		// Counters for getStats(), since the receiver was created.
+		let messagesReceived = 0;
+		let messagesPosted = 0;
+		let commandsRun = 0;
+		
+		// Set a codec to encode messages before they are posted to the controller and decode messages received from it,
+		// e.g. ViaJSONCodec (from via/common/json-codec.js) to send messages as text over a WebSocket. The controller
+		// must use the same codec (see Via.setCodec()). Pass null to post messages as-is again.
+		function SetCodec(newCodec)
+		{
+			if (newCodec && (typeof newCodec.encode !== "function" || typeof newCodec.decode !== "function"))
+				throw new TypeError("a codec must have encode() and decode() methods");
+			
+			codec = newCodec || null;
+		}
+		
+		// Post a message to the controller, encoding it first if using a codec. Encoded messages are copies,
+		// so nothing is transferred.
+		function PostMessage(message, transferList)
+		{
+			messagesPosted++;
+			
+			if (codec)
+				receiver.postMessage(codec.encode(message));
+			else
+				receiver.postMessage(message, transferList);
+		}
+		
+		// Called when receiving a message from the controller.
+		function OnMessage(data)
+		{
+			messagesReceived++;
+			
+			if (codec)
+				data = codec.decode(data);
+			
+			switch (data.type) {
+			case "cmds":
+				OnCommandsMessage(data);
+				break;
+			case "cleanup":
+				// If commands are paused, they may still use the IDs being cleaned up, so wait until they're done.
+				if (batchQueue.length)
+					deferredMessages.push(data);
+				else
+					OnCleanupMessage(data);
+				break;
+			case "callback-return":
+				// The controller sends any commands the callback made first, so the value can be a placeholder for an
+				// object they create. If commands are paused those haven't run yet, so wait until they're done. Other
+				// values are settled straight away. This doesn't wait while commands are waiting for a promise to
+				// settle, since the promise may itself be waiting for the result (see RunBatches()).
+				if (batchQueue.length && !isWaitingForPendingId && data.value && UsesUnknownId(data.value))
+					deferredMessages.push(data);
+				else
+					OnCallbackReturn(data);
+				break;
+			case "shared-setup":
+				OnSharedSetup(data);
+				break;
+			case "shared-notify":
+				if (sharedChannel)
+					sharedChannel.OnNotify();
+				break;
+			case "shared-posted":
+				if (sharedChannel)
+					sharedChannel.OnPosted(data.message);
+				break;
+			case "ping":
+				PostMessage({
+					"type": "pong"
+				});
+				break;
+			case "stats":
+				PostMessage({
+					"type": "stats",
+					"requestId": data.requestId,
+					"stats": GetStats()
+				});
+				break;
+			case "close":
+				ResetSession();
+				break;
+			case "open":
+				ResetSession();
+				nextObjectId = data.nextObjectId;
+				break;
+			default:
+				console.error("Unknown message type: " + data.type);
+				break;
+			}
+		}
+		
+		// Settle the promise returned by an async callback shim with the callback's return value or error.
+		function OnCallbackReturn(data)
+		{
+			const call = pendingCalls.get(data.callId);
+			if (!call)
+			{
+				// Calls from before the connection was closed were already rejected.
+				if (data.callId < sessionStartCallId)
+					return;
+				
+				throw new Error("invalid callback call id: " + data.callId);
+			}
+			
+			pendingCalls.delete(data.callId);
+			
+			if (data.error)
+			{
+				call.reject(new ViaReceiver.CallbackError(data.error));
+				return;
+			}
+			
+			// If the value uses an object ID which is still pending, wait for it to settle first.
+			const settled = (pendingIds.size > 0 ? GetPendingIdForArg(data.value) : null);
+			if (settled)
+			{
+				settled.then(() => SettleCallbackReturn(call, data.value));
+				return;
+			}
+			
+			SettleCallbackReturn(call, data.value);
+		}
+		
+		function SettleCallbackReturn(call, valueData)
+		{
+			try
+			{
+				AddCallbackUsesForArg(valueData);
+				call.resolve(UnwrapArg(valueData));
+			}
+			catch (err)
+			{
+				call.reject(err);
+			}
+		}
+		
+		// ViaSharedChannel if the controller has set up shared memory with Via.useSharedMemory().
+		let sharedChannel = null;
+		let postMessageBeforeShared = null;		// the postMessage function wrapped when using shared memory
+		
+		function OnSharedSetup(data)
+		{
+			if (!globalThis.ViaSharedChannel)
+			{
+				console.error("[Via.js] Controller is using shared memory, but via/common/shared-channel.js is not loaded");
+				return;
+			}
+			
+			// Tell the controller it can start reading from shared memory, now that everything posted before this
+			// point has been sent. Then wrap receiver.postMessage so everything after goes through shared memory.
+			const postMessage = receiver.postMessage;
+			postMessageBeforeShared = postMessage;
+			
+			postMessage({
+				"type": "shared-ready"
+			});
+			
+			sharedChannel = new ViaSharedChannel(data.toController, data.toReceiver, postMessage, OnMessage);
+			receiver.postMessage = ((d, transferList) => sharedChannel.Post(d, transferList));
+			sharedChannel.Start();
+		}
+		
+		// Batches of commands waiting to run, in the order they were received. Normally a batch runs to completion
+		// as soon as it arrives, but if a command uses a pending ID, running commands pauses until it settles.
+		// Running also pauses if it goes over the time budget, if any, and carries on in a later task.
+		const batchQueue = [];
+		let isPaused = false;
+		let timeBudgetMs = options.timeBudget || 0;
+		let isFrameSync = !!options.frameSync;
+		let isRunningFrame = false;			// running commands in a requestAnimationFrame() callback
+		let isWaitingForPendingId = false;	// paused until a pending ID settles
+		const deferredMessages = [];		// cleanup and callback-return messages waiting for paused commands
+		
+		// Decoder for binary command lists, created when first needed (requires via/receiver/binary.js).
+		let binaryDecoder = null;
+		
+		function OnCommandsMessage(data)
+		{
+			let cmds = data.cmds;
+			const errors = [];
+			
+			// If decoding binary commands fails, report the error as if the batch had no commands.
+			if (data.binary)
+			{
+				try
+				{
+					cmds = DecodeBinaryCommands(data.binary, data.values);
+				}
+				catch (err)
+				{
+					cmds = [];
+					
+					const info = SerializeError(err);
+					info["cmdIndex"] = -1;
+					info["cmdType"] = "decode";
+					info["path"] = null;
+					errors.push(info);
+				}
+			}
+			
+			batchQueue.push({
+				flushId: data.flushId,
+				cmds: cmds,
+				index: 0,				// index of next command to run
+				getResults: [],			// list of values requested to pass back to controller
+				pendingGets: [],		// list of promises for get values which are waiting for a thenable to settle
+				errors: errors,			// list of serialized errors from commands that failed
+				transferSet: new Set(),	// set of objects to transfer with the results
+				isFrame: !!data.frame	// from Via.frame(), so must run all together in an animation frame
+			});
+			
+			if (!isPaused)
+				RunBatches();
+		}
+		
+		function DecodeBinaryCommands(buffer, values)
+		{
+			if (!binaryDecoder)
+			{
+				if (!ViaReceiver._BinaryDecoder)
+					throw new Error("received binary commands but via/receiver/binary.js is not loaded");
+				
+				binaryDecoder = new ViaReceiver._BinaryDecoder();
+			}
+			
+			return binaryDecoder.Decode(buffer, values);
+		}
+		
+		function RunBatches()
+		{
+			const startTime = (timeBudgetMs > 0 ? performance.now() : 0);
+			
+			while (batchQueue.length)
+			{
+				const batch = batchQueue[0];
+				const cmds = batch.cmds;
+				
+				// In frame sync mode, and for commands from Via.frame(), wait for the next animation frame and then
+				// run everything that has arrived by then together. Later batches wait too so everything stays in order.
+				if ((isFrameSync || batch.isFrame) && !isRunningFrame && typeof requestAnimationFrame === "function")
+				{
+					isPaused = true;
+					requestAnimationFrame(OnAnimationFrame);
+					return;
+				}
+				
+				// Run all sent commands. If a command throws, record the error and carry on with the rest of the
+				// batch, so the "done" message is always posted and the controller's promises don't hang.
+				for (const len = cmds.length; batch.index < len; ++batch.index)
+				{
+					const cmd = cmds[batch.index];
+					
+					// If the command uses a pending ID, wait for it to settle then resume from the same command.
+					if (pendingIds.size > 0)
+					{
+						const settled = GetPendingIdForCommand(cmd);
+						if (settled)
+						{
+							isPaused = true;
+							isWaitingForPendingId = true;
+							settled.then(ResumeBatches);
+							
+							// The promise may be waiting for an async callback's result, which would then never
+							// arrive, so handle any deferred results now rather than when the commands are done.
+							HandleDeferredMessages(true);
+							return;
+						}
+					}
+					
+					try
+					{
+						commandsRun++;
+						RunCommand(cmd, batch);
+					}
+					catch (err)
+					{
+						batch.errors.push(MakeCommandError(cmd, batch.index, err));
+					}
+					
+					// If the time budget has run out, resume from the next command in a later task, so a huge batch
+					// doesn't stop the receiver responding to anything else, such as user input. Note at least one
+					// command always runs, so it still makes progress.
+					// Commands from Via.frame() are never split, since they must all appear in the same frame.
+					if (timeBudgetMs > 0 && !batch.isFrame && batch.index + 1 < len && performance.now() - startTime >= timeBudgetMs)
+					{
+						batch.index++;
+						isPaused = true;
+						setTimeout(ResumeBatches, 0);
+						return;
+					}
+				}
+				
+				batchQueue.shift();
+				
+				// Post back that we're done (so the flush promise resolves), and pass along any get values and errors.
+				// If any gets are waiting for a thenable to settle, this waits for them first.
+				if (batch.pendingGets.length)
+					Promise.all(batch.pendingGets).then(() => PostDone(batch));
+				else
+					PostDone(batch);
+			}
+			
+			HandleDeferredMessages(false);
+		}
+		
+		// Handle deferred messages in the order they arrived. Pass true to only handle callback results, leaving
+		// cleanups deferred.
+		function HandleDeferredMessages(isCallbackReturnsOnly)
+		{
+			for (const data of deferredMessages.splice(0))
+			{
+				if (data.type !== "cleanup")
+					OnCallbackReturn(data);
+				else if (isCallbackReturnsOnly)
+					deferredMessages.push(data);
+				else
+					OnCleanupMessage(data);
+			}
+		}
+		
+		function ResumeBatches()
+		{
+			isPaused = false;
+			isWaitingForPendingId = false;
+			RunBatches();
+		}
+		
+		function OnAnimationFrame()
+		{
+			isRunningFrame = true;
+			
+			try
+			{
+				ResumeBatches();
+			}
+			finally
+			{
+				isRunningFrame = false;
+			}
+		}
+		
+		function PostDone(batch)
+		{
+			PostMessage({
+				"type": "done",
+				"flushId": batch.flushId,
+				"getResults": batch.getResults,
+				"errors": batch.errors
+			}, Array.from(batch.transferSet));
+		}
+		
+		// If a command uses a pending ID, either as its object or in its arguments, return the promise that
+		// resolves when that ID has settled. Otherwise returns null.
+		function GetPendingIdForCommand(cmd)
+		{
+			switch (cmd[0]) {
+			case 0:		// call
+			case 3:		// construct
+				return pendingIds.get(cmd[1]) || GetPendingIdForArgs(cmd[3]);
+			case 1:		// set
+				return pendingIds.get(cmd[1]) || GetPendingIdForArg(cmd[3]);
+			case 2:		// get
+			case 5:		// has
+			case 6:		// keys
+			case 7:		// typeof
+				return pendingIds.get(cmd[2]) || null;
+			case 4:		// delete
+				return pendingIds.get(cmd[1]) || null;
+			case 8:		// instanceof
+			case 11:	// same
+				return pendingIds.get(cmd[2]) || GetPendingIdForArg(cmd[4]);
+			case 9:		// iterator
+				return pendingIds.get(cmd[1]) || null;
+			case 10:	// next
+				return pendingIds.get(cmd[2]) || null;
+			default:
+				return null;
+			}
+		}
+		
+		function GetPendingIdForArgs(argsData)
+		{
+			for (const argData of argsData)
+			{
+				const settled = GetPendingIdForArg(argData);
+				if (settled)
+					return settled;
+			}
+			
+			return null;
+		}
+		
+		function GetPendingIdForArg(arr)
+		{
+			switch (arr[0]) {
+			case 1:		// object
+			case 3:		// object property
+				return pendingIds.get(arr[1]) || null;
+			case 4:		// array
+			case 7:		// set
+				return GetPendingIdForArgs(arr[1]);
+			case 5:		// plain object
+				return GetPendingIdForArgs(arr[1].map(entry => entry[1]));
+			case 6:		// map
+				return GetPendingIdForArgs(arr[1].flat());
+			default:
+				return null;
+			}
+		}
+		
+		// Check if an argument uses an object ID the receiver doesn't know about yet, i.e. one that a command still
+		// waiting to run will create.
+		function UsesUnknownId(arr)
+		{
+			switch (arr[0]) {
+			case 1:		// object
+			case 3:		// object property
+				return !idMap.has(arr[1]) && !pendingIds.has(arr[1]) && !poisonedIds.has(arr[1]);
+			case 4:		// array
+			case 7:		// set
+				return arr[1].some(UsesUnknownId);
+			case 5:		// plain object
+				return arr[1].some(entry => UsesUnknownId(entry[1]));
+			case 6:		// map
+				return arr[1].some(([k, v]) => UsesUnknownId(k) || UsesUnknownId(v));
+			default:
+				return false;
+			}
+		}
+		
+		// Serialize an error thrown by a command, noting which command failed. Commands which return an
+		// object have their return object ID poisoned, and get commands note their get ID so the controller
+		// can reject the corresponding promise.
+		function MakeCommandError(cmd, cmdIndex, err)
+		{
+			const type = cmd[0];
+			const ret = SerializeError(err);
+			ret["cmdIndex"] = cmdIndex;
+			ret["cmdType"] = commandNames[type] || String(type);
+			
+			switch (type) {
+			case 0:		// call
+			case 3:		// construct
+				ret["path"] = cmd[2];
+				ret["objectId"] = cmd[4];
+				poisonedIds.set(cmd[4], ret);
+				break;
+			case 1:		// set
+				ret["path"] = cmd[2];
+				break;
+			case 2:		// get
+			case 5:		// has
+			case 6:		// keys
+			case 7:		// typeof
+			case 8:		// instanceof
+			case 10:	// next
+			case 11:	// same
+				ret["path"] = cmd[3];
+				ret["getId"] = cmd[1];
+				break;
+			case 9:		// iterator
+				ret["path"] = cmd[2];
+				ret["objectId"] = cmd[3];
+				poisonedIds.set(cmd[3], ret);
+				break;
+			case 12:	// remote
+				ret["path"] = [cmd[1]];
+				ret["objectId"] = cmd[2];
+				poisonedIds.set(cmd[2], ret);
+				break;
+			case 4:		// delete
+				ret["path"] = cmd[2];
+				break;
+			}
+			
+			return ret;
+		}
+		
+		function RunCommand(arr, batch)
+		{
+			const type = arr[0];
+			AddCallbackUses(arr);
+			
+			switch (type) {
+			case 0:		// call
+				ViaCall(arr[1], arr[2], arr[3], arr[4]);
+				break;
+			case 1:		// set
+				ViaSet(arr[1], arr[2], arr[3]);
+				break;
+			case 2:		// get
+				AddGetResult(arr, ViaGet(arr[2], arr[3]), batch);
+				break;
+			case 3:		// constructor
+				ViaConstruct(arr[1], arr[2], arr[3], arr[4]);
+				break;
+			case 4:		// delete
+				ViaDelete(arr[1], arr[2]);
+				break;
+			case 5:		// has
+				AddQueryResult(arr[1], DecodeKey(arr[4]) in ViaGet(arr[2], arr[3]), batch);
+				break;
+			case 6:		// keys
+				AddQueryResult(arr[1], Object.keys(ViaGet(arr[2], arr[3])), batch);
+				break;
+			case 7:		// typeof
+				AddQueryResult(arr[1], typeof ViaGet(arr[2], arr[3]), batch);
+				break;
+			case 8:		// instanceof
+				AddQueryResult(arr[1], ViaGet(arr[2], arr[3]) instanceof UnwrapArg(arr[4]), batch);
+				break;
+			case 9:		// iterator
+				SetObject(arr[3], GetIterator(ViaGet(arr[1], arr[2])));
+				break;
+			case 10:	// next
+				AddIteratorResults(arr, ViaGet(arr[2], arr[3]), arr[4], batch);
+				break;
+			case 11:	// same
+				AddQueryResult(arr[1], Object.is(ViaGet(arr[2], arr[3]), UnwrapArg(arr[4])), batch);
+				break;
+			case 12:	// remote
+				ViaRemote(arr[1], arr[2]);
+				break;
+			default:
+				throw new Error("invalid cmd type: " + type);
+			}
+		}
+		
+		function ViaCall(objectId, path, argsData, returnObjectId)
+		{
+			const base = GetPathBase(objectId, path);
+			const args = argsData.map(UnwrapArg);
+			const methodName = DecodeKey(path[path.length - 1]);
+			
+			if (policy !== null)
+				GetProperty(base, methodName);
+			
+			const ret = base[methodName](...args);
+			SetReturnValue(returnObjectId, ret);
+		}
+		
+		function ViaConstruct(objectId, path, argsData, returnObjectId)
+		{
+			const base = GetPathBase(objectId, path);
+			const args = argsData.map(UnwrapArg);
+			const methodName = DecodeKey(path[path.length - 1]);
+			
+			if (policy !== null)
+				policy.CheckConstruct(GetProperty(base, methodName));
+			
+			const ret = new base[methodName](...args);
+			SetReturnValue(returnObjectId, ret);
+		}
+		
+		function ViaSet(objectId, path, valueData)
+		{
+			const base = GetPathBase(objectId, path);
+			const value = UnwrapArg(valueData);
+			const propertyName = DecodeKey(path[path.length - 1]);
+			
+			if (policy !== null)
+				policy.CheckWrite(base, propertyName);
+			
+			base[propertyName] = value;
+		}
+		
+		function ViaDelete(objectId, path)
+		{
+			const base = GetPathBase(objectId, path);
+			const propertyName = DecodeKey(path[path.length - 1]);
+			
+			if (policy !== null)
+				policy.CheckWrite(base, propertyName);
+			
+			delete base[propertyName];
+		}
+		
+		// Store an object exposed with expose() under a new object ID for Via.remote().
+		function ViaRemote(name, returnObjectId)
+		{
+			if (!exposedObjects.has(name))
+				throw new Error(`no object is exposed with the name '${name}'`);
+			
+			const obj = exposedObjects.get(name);
+			
+			if (policy !== null)
+				policy.CheckValue(obj);
+			
+			SetObject(returnObjectId, obj);
+		}
+		
+		// Return the value for a get command.
+		function ViaGet(objectId, path)
+		{
+			return IdToObjectProperty(objectId, path);
+		}
+		
+		// Add the value for a get command to the batch results. If the value is a thenable, wait for it to settle
+		// and then add its result or error instead.
+		function AddGetResult(cmd, value, batch)
+		{
+			const getId = cmd[1];
+			
+			if (!IsThenable(value))
+			{
+				batch.getResults.push([getId, WrapArg(value, batch.transferSet)]);
+				return;
+			}
+			
+			const cmdIndex = batch.index;
+			
+			batch.pendingGets.push(Promise.resolve(value).then(
+				result => batch.getResults.push([getId, WrapArg(result, batch.transferSet)]),
+				err => batch.errors.push(MakeCommandError(cmd, cmdIndex, err))
+			));
+		}
 
-	function OnCleanupMessage(data)
+		// Add the result of a query command such as has. Unlike get results these are always sent as-is, since they
+		// are either primitives or an array of strings.
+		function AddQueryResult(getId, value, batch)
+		{
+			batch.getResults.push([getId, [0 /* primitive */, value]]);
+		}
+		
+		// Add up to count items from an iterator for a next command, as an array of wrapped values. If it's an async
+		// iterator, wait for the items the same way as a get command waits for a thenable.
+		function AddIteratorResults(cmd, iterator, count, batch)
+		{
+			const getId = cmd[1];
+			const items = [];
+			
+			while (items.length < count)
+			{
+				const result = iterator.next();
+				
+				if (IsThenable(result))
+				{
+					const cmdIndex = batch.index;
+					
+					batch.pendingGets.push(ReadAsyncIterator(iterator, result, count, items).then(
+						() => batch.getResults.push([getId, [4 /* array */, items.map(item => WrapArg(item, batch.transferSet))]]),
+						err => batch.errors.push(MakeCommandError(cmd, cmdIndex, err))
+					));
+					return;
+				}
+				
+				if (result.done)
+					break;
+				
+				items.push(result.value);
+			}
+			
+			batch.getResults.push([getId, [4 /* array */, items.map(item => WrapArg(item, batch.transferSet))]]);
+		}
+		
+		function OnCleanupMessage(data)
+		{
+			// Delete a list of IDs sent from the controller from the ID map. This happens when
+			// the Proxys on the controller side with these IDs are garbage collected, so the IDs
+			// on the receiver can be dropped ensuring the associated objects can be collected.
+			// Each ID comes with the number of times the controller received it; if it was sent
+			// more times than that, it's still in use. Note IDs which failed or are still pending
+			// have no use count, and are always deleted.
+			for (const [id, useCount] of data.ids)
+			{
+				const remaining = (useCounts.get(id) || 0) - useCount;
+				if (remaining > 0)
+				{
+					useCounts.set(id, remaining);
+					continue;
+				}
+				
+				const obj = idMap.get(id);
+				if (IsObject(obj) && objectIds.get(obj) === id)
+					objectIds.delete(obj);
+				
+				idMap.delete(id);
+				useCounts.delete(id);
+				poisonedIds.delete(id);
+				pendingIds.delete(id);
+			}
+		}
+		
+		// Incremented every time the controller closes the connection, so anything left over from an earlier
+		// connection (such as callback shims still attached to events) can tell it's no longer in use.
+		let session = 0;
+		
+		// Drop everything for the current connection when the controller closes it with Via.close(), or starts a new
+		// one with Via.reconnect(). The receiver then carries on as if newly created, apart from its root, policy and
+		// exposed objects.
+		function ResetSession()
+		{
+			session++;
+			
+			idMap.clear();
+			idMap.set(0, root);
+			useCounts.clear();
+			useCounts.set(0, 1);
+			objectIds = new WeakMap();
+			
+			if (IsObject(root))
+				objectIds.set(root, 0);
+			
+			poisonedIds.clear();
+			pendingIds.clear();
+			batchQueue.length = 0;
+			isPaused = false;
+			isWaitingForPendingId = false;
+			deferredMessages.length = 0;
+			binaryDecoder = null;
+			
+			callbackShims.clear();
+			callbackCleanupQueue.length = 0;
+			
+			if (callbackCleanupTimerId !== -1)
+			{
+				clearTimeout(callbackCleanupTimerId);
+				callbackCleanupTimerId = -1;
+			}
+			
+			for (const call of pendingCalls.values())
+				call.reject(new Error("the Via connection was closed"));
+			
+			pendingCalls.clear();
+			sessionStartCallId = nextCallId;
+			
+			if (sharedChannel)
+			{
+				receiver.postMessage = postMessageBeforeShared;
+				sharedChannel = null;
+			}
+		}
+		
+		// Set the maximum time in milliseconds to spend running commands before letting other tasks run, or 0 for
+		// no limit (the default). This stops a huge batch of commands, e.g. creating thousands of elements, from
+		// freezing the receiver. Commands still run in order, and their results are sent once they've all run.
+		function SetTimeBudget(ms)
+		{
+			timeBudgetMs = ms || 0;
+		}
+		
+		// Turn frame sync mode on or off. When on, commands don't run as soon as they arrive, but are buffered until the
+		// next animation frame, and everything that has arrived by then runs together inside requestAnimationFrame().
+		// This avoids one logical update being applied over two frames, e.g. when the DOM is controlled from a worker.
+		// Commands sent with Via.frame() always run this way. If requestAnimationFrame() isn't available, commands
+		// run straight away as normal.
+		function SetFrameSync(enabled)
+		{
+			isFrameSync = !!enabled;
+		}
+		
+		// Return statistics for diagnosing leaks and chatty code, which the controller also gets with Via.getStats():
+		// - objects: object IDs the controller can use, including the global object
+		// - pendingObjects: object IDs waiting for a promise to settle
+		// - callbacks: callback shims for functions passed by the controller
+		// - pendingCalls: callback calls waiting for the controller to return a value
+		// - exposedObjects: objects exposed by name with expose()
+		// - queuedBatches: batches of commands waiting to run, e.g. for a pending ID or an animation frame
+		// - messagesReceived, messagesPosted, commandsRun: counters since the receiver was created
+		function GetStats()
+		{
+			return {
+				objects: idMap.size,
+				pendingObjects: pendingIds.size,
+				callbacks: callbackShims.size,
+				pendingCalls: pendingCalls.size,
+				exposedObjects: exposedObjects.size,
+				queuedBatches: batchQueue.length,
+				messagesReceived,
+				messagesPosted,
+				commandsRun
+			};
+		}
+		
+		// Set the object the controller's 'via' object represents.
+		function SetRoot(newRoot)
+		{
+			if (IsObject(root) && objectIds.get(root) === 0)
+				objectIds.delete(root);
+			
+			root = newRoot;
+			idMap.set(0, root);
+			
+			if (IsObject(root) && !objectIds.has(root))
+				objectIds.set(root, 0);
+		}
+		
+		// Set an access policy to restrict what the controller can do, e.g. when running untrusted code in a worker.
+		// Commands that break the policy fail with a ViaPolicyError, which is reported back to the controller.
+		// Pass null to remove the policy. The policy is an object with any of the following:
+		// - allow: list of paths from the root which can be used, e.g. ["document.body", "console.log"]. Anything
+		//   else on the root is rejected, as is reaching the root or global object again from another object.
+		//   Objects returned from allowed paths can still be used normally.
+		// - deny: list of paths which are always rejected, e.g. ["eval", "Function", "document.cookie"], along
+		//   with their values wherever they are reached from, e.g. via.Array.constructor is also rejected for
+		//   "Function". Use a "*." prefix to deny a property name on every object, e.g. "*.innerHTML".
+		//   Built-in functions which bypass these checks are always denied, including Function, eval, the async
+		//   and generator function constructors, Reflect and Object.getOwnPropertyDescriptor().
+		// - readOnly: true to reject all set and delete commands, or a list of paths which can't be set or deleted.
+		// - writable: if readOnly is true, a list of paths which can still be set or deleted, e.g. "*.textContent".
+		// - constructors: list of paths to the only constructors which can be used with 'new', e.g. ["Image"].
+		// - root: an object to use as the root instead of the current one, as with createReceiver().
+		// Paths are resolved when the policy is set, after changing the root. Note the policy only applies to
+		// commands from the controller, so receiver code can still pass anything it likes to callbacks.
+		function SetPolicy(options)
+		{
+			if (!options)
+			{
+				policy = null;
+				return;
+			}
+			
+			if ("root" in options)
+				SetRoot(options["root"]);
+			
+			policy = new Policy(root, options);
+		}
+		
+		// Make an object available to the controller by name, which it can access with Via.remote(name). This
+		// allows offering an API without adding it to the global object, and avoids name collisions between
+		// several libraries using the same receiver. Exposed objects can be used even if they aren't in the
+		// allow list of a policy. Exposing a different object with the same name replaces it for later lookups.
+		function Expose(name, obj)
+		{
+			if (typeof name !== "string")
+				throw new TypeError("expose() name must be a string");
+			
+			exposedObjects.set(name, obj);
+		}
+		
+		// Remove an object exposed with expose(). Placeholders the controller already has for it still work,
+		// but later Via.remote() calls with the name fail.
+		function Unexpose(name)
+		{
+			exposedObjects.delete(name);
+		}
+		
+		if (options.policy)
+			SetPolicy(options.policy);
+		
+		if (options.codec)
+			SetCodec(options.codec);
+		
+		receiver.OnMessage = OnMessage;
+		receiver.setPolicy = SetPolicy;
+		receiver.setTimeBudget = SetTimeBudget;
+		receiver.setFrameSync = SetFrameSync;
+		receiver.setCodec = SetCodec;
+		receiver.getStats = GetStats;
+		
+		// Internal function used by connection adapters, to drop everything for the connection when it's lost.
+		receiver._ResetSession = ResetSession;
+		receiver.expose = Expose;
+		receiver.unexpose = Unexpose;
+		
+		return receiver;
+	}
+	
+	// Built-in adapters for the usual messaging bridges, matching Via.connectWorker(), Via.connectPort() and
+	// Via.connectWindow() on the controller side. Messages are tagged with a channel name, and any other messages are
+	// ignored. Options for all of them are:
+	// - channel: the name to tag messages with, which must match the controller side. Defaults to "via".
+	// - receiver: a receiver made with ViaReceiver.createReceiver() to connect, instead of the default one
+	// Each returns a function which removes the message listener.
+	
+	// Connect to a controller in a Worker, i.e. the page side of using the DOM from a worker.
+	ViaReceiver.connectWorker = function (worker, options)
+	{
+		return ViaReceiver.connectPort(worker, options);
+	};
+	
+	// Connect to a controller on the other end of a MessagePort, or anything else with postMessage() and message events.
+	// For example pass self to receive commands in a worker from a controller on the page.
+	ViaReceiver.connectPort = function (port, options)
 	{
-		// Delete a list of IDs sent from the controller from the ID map. This happens when
-		// the Proxys on the controller side with these IDs are garbage collected, so the IDs
-		// on the receiver can be dropped ensuring the associated objects can be collected.
-		for (const id of data.ids)
-			idMap.delete(id);
+		options = options || {};
+		
+		const ret = ConnectAdapter(options, port, ((message, transferList) => port.postMessage(message, transferList)), (() => true));
+		
+		// MessagePorts don't deliver messages to addEventListener() listeners until they are started.
+		if (typeof port.start === "function")
+			port.start();
+		
+		return ret;
+	};
+	
+	// Connect to a controller in another window, such as window.parent in an iframe. Any page can post messages to a
+	// window, and could otherwise run commands on this receiver, so the other window's origin must be passed as the
+	// origin option, e.g. { origin: "https://example.com" }. Only messages from the other window with that origin
+	// are accepted, and messages are only posted to that origin.
+	ViaReceiver.connectWindow = function (targetWindow, options)
+	{
+		options = options || {};
+		
+		const origin = options.origin;
+		if (typeof origin !== "string" || origin === "*")
+			throw new Error("ViaReceiver.connectWindow() requires the origin of the other window");
+		
+		return ConnectAdapter(options, globalThis, ((message, transferList) => targetWindow.postMessage(message, origin, transferList)),
+							  (e => e.source === targetWindow && e.origin === origin));
+	};
+	
+	// Connect a receiver to a bridge, posting with post() and receiving message events from eventTarget. Messages are
+	// wrapped as { via: channel, message }, and received ones are only passed on if they have the same channel and
+	// isAccepted() returns true for the event.
+	function ConnectAdapter(options, eventTarget, post, isAccepted)
+	{
+		const channel = ("channel" in options ? options.channel : "via");
+		const receiver = options.receiver || ViaReceiver;
+		
+		function OnMessage(e)
+		{
+			const data = e.data;
+			if (data === null || typeof data !== "object" || data["via"] !== channel || !isAccepted(e))
+				return;
+			
+			receiver.OnMessage(data["message"]);
+		}
+		
+		receiver.postMessage = ((data, transferList) => post({
+			"via": channel,
+			"message": data
+		}, transferList || []));
+		
+		eventTarget.addEventListener("message", OnMessage);
+		
+		return (() => eventTarget.removeEventListener("message", OnMessage));
 	}
+	
+	// Create the default receiver, which posts messages with ViaReceiver.postMessage
+	// and represents the global object.
+	const defaultReceiver = CreateReceiver({
+		postMessage: ((data, transferList) => ViaReceiver.postMessage(data, transferList))
+	});
+	
+	ViaReceiver.OnMessage = defaultReceiver.OnMessage;
+	ViaReceiver.setPolicy = defaultReceiver.setPolicy;
+	ViaReceiver.setTimeBudget = defaultReceiver.setTimeBudget;
+	ViaReceiver.setFrameSync = defaultReceiver.setFrameSync;
+	ViaReceiver.setCodec = defaultReceiver.setCodec;
+	ViaReceiver.getStats = defaultReceiver.getStats;
+	ViaReceiver._ResetSession = defaultReceiver._ResetSession;
+	ViaReceiver.expose = defaultReceiver.expose;
+	ViaReceiver.unexpose = defaultReceiver.unexpose;
+	
+	// Also export the namespace when loaded as a CommonJS module, e.g. with require() in Node.js.
+	if (typeof module === "object" && module !== null && module.exports)
+		module.exports = ViaReceiver;
 }
\ No newline at end of file
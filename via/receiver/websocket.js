@@ -0,0 +1,50 @@
+"use strict";
+
+{
+	if (!globalThis.ViaReceiver)
+		globalThis.ViaReceiver = {};
+
+	// Adapter for receiving commands from a controller over a WebSocket, e.g. a Node.js server offering objects to
+	// another process. Messages are sent as JSON text, so via/common/json-codec.js must also be loaded. See
+	// via/controller/websocket.js for the controller side.
+
+	// Connect a receiver to a controller over a WebSocket. This connects the default receiver, i.e.
+	// ViaReceiver.postMessage and ViaReceiver.OnMessage, unless a receiver made with ViaReceiver.createReceiver()
+	// is passed, such as one for each client connecting to a server. It also sets the receiver's codec to
+	// ViaJSONCodec; call setCodec() afterwards to use a different one. When the socket closes the receiver drops all
+	// its object IDs and callbacks for the connection. Returns a function which removes the listeners added to the socket.
+	ViaReceiver.connectWebSocket = function (socket, receiver)
+	{
+		if (!globalThis.ViaJSONCodec)
+			throw new Error("ViaReceiver.connectWebSocket() requires via/common/json-codec.js");
+
+		const target = receiver || ViaReceiver;
+
+		function OnMessage(e)
+		{
+			target.OnMessage(e.data);
+		}
+
+		function OnClose()
+		{
+			target._ResetSession();
+		}
+
+		target.setCodec(ViaJSONCodec);
+		// Anything posted after the socket closes, e.g. the result of a slow promise, is dropped.
+		target.postMessage = (data =>
+		{
+			if (socket.readyState === 1 /* OPEN */)
+				socket.send(data);
+		});
+
+		socket.addEventListener("message", OnMessage);
+		socket.addEventListener("close", OnClose);
+
+		return (() =>
+		{
+			socket.removeEventListener("message", OnMessage);
+			socket.removeEventListener("close", OnClose);
+		});
+	};
+}